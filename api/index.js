@@ -0,0 +1,23 @@
+const createApp = require("../app")
+const emailService = require("../utils/emailService")
+const { connectDatabase } = require("../utils/database")
+const logger = require("../utils/logger")
+
+// Serverless entry for Vercel. The app is built once per cold start and each invocation waits for the
+// shared MongoDB connection. There are no background workers here; the crons in vercel.json drain the
+// email and webhook queues instead.
+const app = createApp()
+
+emailService.verify().then((health) => {
+  logger[health.status === "error" ? "warn" : "info"]("Email transport check", health)
+})
+
+module.exports = async (req, res) => {
+  try {
+    await connectDatabase()
+  } catch (error) {
+    // Let the request through; /api/health reports the database as disconnected
+    logger.error("MongoDB connection error", { error })
+  }
+  return app(req, res)
+}
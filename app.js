@@ -0,0 +1,216 @@
+const express = require("express")
+const cors = require("cors")
+const helmet = require("helmet")
+const config = require("./config")
+
+const DefaultContact = require("./models/Contact")
+const defaultEmailService = require("./utils/emailService")
+const defaultEmailQueue = require("./utils/emailQueue")
+const { createSpamFilter } = require("./utils/spam")
+const { createEmailDomainCheck } = require("./utils/emailDomain")
+const { createContactNotifier } = require("./services/contactNotifications")
+const logger = require("./utils/logger")
+const { assignRequestId, accessLog } = require("./middleware/requestContext")
+const { auditAdminRequests } = require("./middleware/audit")
+const createContactRoutes = require("./routes/contact")
+const createAdminContactRoutes = require("./routes/contacts")
+const createCronRoutes = require("./routes/cron")
+const createHealthRoutes = require("./routes/health")
+const adminRoutes = require("./routes/admin")
+const createAdminUserRoutes = require("./routes/adminUsers")
+const createAdminEmailRoutes = require("./routes/adminEmails")
+const adminWebhookRoutes = require("./routes/adminWebhooks")
+const adminFormRoutes = require("./routes/adminForms")
+const adminReportRoutes = require("./routes/adminReports")
+const adminStatsRoutes = require("./routes/adminStats")
+const adminPrivacyRoutes = require("./routes/adminPrivacy")
+const adminAuditRoutes = require("./routes/adminAudit")
+const unsubscribeRoutes = require("./routes/unsubscribe")
+const createBookingRoutes = require("./routes/bookings")
+const createAdminBookingRoutes = require("./routes/adminBookings")
+
+// Builds the Express app without connecting to MongoDB or listening on a port, so the
+// entries (server.js, api/index.js) and the tests decide how it runs. Dependencies:
+//   Contact           the Contact model
+//   emailService      sends the emails (an EmailService; pass one with a stub transport in tests)
+//   emailQueue        outbox the emails go through (default: one that sends with emailService)
+//   spamFilter        captcha verifier and the other spam checks (see utils/spam)
+//   emailDomainCheck  MX lookup on submitted email addresses
+function createApp({
+  Contact = DefaultContact,
+  emailService = defaultEmailService,
+  emailQueue = emailService === defaultEmailService
+    ? defaultEmailQueue
+    : defaultEmailQueue.createEmailQueue({ emailService }),
+  spamFilter = createSpamFilter(config.spam),
+  emailDomainCheck = createEmailDomainCheck(config.emailDomain),
+} = {}) {
+  const notifier = createContactNotifier({ emailQueue })
+
+  const app = express()
+  app.set("trust proxy", 1)
+
+  // Middleware
+  app.use(assignRequestId)
+  // While shutting down (app.locals.shuttingDown, set by server.js), keep-alive connections are closed
+  // after their current response so clients reconnect to another instance
+  app.use((req, res, next) => {
+    if (app.locals.shuttingDown) res.set("Connection", "close")
+    next()
+  })
+  app.use(accessLog)
+  app.use(helmet())
+
+  // Unsubscribe links from follow-up emails. Mounted ahead of CORS: the confirmation page posts back to
+  // the API's own origin, which needn't be in ALLOWED_ORIGINS.
+  app.use("/api/unsubscribe", unsubscribeRoutes)
+
+  // CORS Configuration - origins come from ALLOWED_ORIGINS (see config/environments for the defaults)
+  app.use(cors({
+    origin: function (origin, callback) {
+      if (!origin || config.cors.allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        logger.warn("Blocked by CORS", { origin });
+        callback(new Error("Not allowed by CORS"));
+      }
+    },
+    credentials: true,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Request-Id"],
+    exposedHeaders: ["X-Request-Id"]
+  }));
+
+
+  app.use(express.json({ limit: "10mb" }))
+  app.use(express.urlencoded({ extended: true, limit: "10mb" }))
+
+  // Root endpoint
+  app.get("/", (req, res) => {
+    res.json({
+      success: true,
+      message: "Delhi Digital Co - Shopify Landing Page API",
+      version: "1.0.0",
+      endpoints: {
+        health: "/api/health",
+        contact: "/api/contact",
+        contacts: "/api/contacts",
+        adminLogin: "/api/admin/login",
+      },
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  app.use("/api/health", createHealthRoutes({ emailService, spamFilter }))
+  app.use("/api", createContactRoutes({ Contact, spamFilter, emailDomainCheck, notifier }))
+  app.use("/api", createBookingRoutes({ emailQueue }))
+  app.use("/api/cron", createCronRoutes({ emailQueue }))
+
+  // Admin endpoints; every authenticated request to them goes in the audit log
+  app.use(["/api/admin", "/api/contacts"], auditAdminRequests)
+  app.use("/api/admin/users", createAdminUserRoutes({ emailQueue }))
+  app.use("/api/admin/emails", createAdminEmailRoutes({ emailQueue, emailService }))
+  app.use("/api/admin/webhooks", adminWebhookRoutes)
+  app.use("/api/admin/forms", adminFormRoutes)
+  app.use("/api/admin/reports", adminReportRoutes)
+  app.use("/api/admin/stats", adminStatsRoutes)
+  app.use("/api/admin/privacy", adminPrivacyRoutes)
+  app.use("/api/admin/audit", adminAuditRoutes)
+  app.use("/api/admin/bookings", createAdminBookingRoutes({ emailQueue }))
+  app.use("/api/admin", adminRoutes)
+  app.use("/api/contacts", createAdminContactRoutes({ Contact, notifier }))
+
+  // 404 handler for API routes
+  app.use("/api/*", (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: `API endpoint not found: ${req.method} ${req.originalUrl}`,
+      availableEndpoints: [
+        "GET /api/health",
+        "GET /api/health/live",
+        "GET /api/health/ready",
+        "POST /api/contact",
+        "GET /api/forms/:key",
+        "GET /api/unsubscribe",
+        "POST /api/unsubscribe",
+        "GET /api/slots",
+        "POST /api/bookings",
+        "GET /api/bookings/manage",
+        "POST /api/bookings/reschedule",
+        "POST /api/bookings/cancel",
+        "POST /api/admin/login",
+        "POST /api/admin/refresh",
+        "POST /api/admin/logout",
+        "POST /api/admin/logout-all",
+        "GET /api/admin/me",
+        "POST /api/admin/accept-invite",
+        "GET /api/admin/users",
+        "POST /api/admin/users",
+        "PATCH /api/admin/users/:id/role",
+        "POST /api/admin/users/:id/deactivate",
+        "POST /api/admin/users/:id/reactivate",
+        "GET /api/admin/emails",
+        "POST /api/admin/emails/:id/resend",
+        "GET /api/admin/emails/templates",
+        "GET /api/admin/emails/templates/:name/preview",
+        "GET /api/admin/webhooks",
+        "POST /api/admin/webhooks",
+        "PATCH /api/admin/webhooks/:id",
+        "DELETE /api/admin/webhooks/:id",
+        "POST /api/admin/webhooks/:id/rotate-secret",
+        "GET /api/admin/webhooks/:id/deliveries",
+        "POST /api/admin/webhooks/deliveries/:deliveryId/replay",
+        "GET /api/admin/forms",
+        "GET /api/admin/forms/:key",
+        "POST /api/admin/forms",
+        "PUT /api/admin/forms/:key",
+        "DELETE /api/admin/forms/:key",
+        "GET /api/admin/reports/campaigns",
+        "GET /api/admin/stats",
+        "GET /api/admin/privacy/subjects",
+        "GET /api/admin/privacy/subjects/export",
+        "POST /api/admin/privacy/subjects/anonymize",
+        "POST /api/admin/privacy/subjects/delete",
+        "GET /api/admin/privacy/audit",
+        "GET /api/admin/audit",
+        "GET /api/admin/bookings",
+        "POST /api/admin/bookings/:id/cancel",
+        "GET /api/admin/bookings/availability",
+        "PUT /api/admin/bookings/availability",
+        "GET /api/contacts",
+        "GET /api/contacts/export",
+        "GET /api/contacts/:id",
+        "GET /api/contacts/:id/attachments/:attachmentId",
+        "PATCH /api/contacts/:id/status",
+        "POST /api/contacts/:id/not-spam",
+        "PATCH /api/contacts/:id/assignee",
+        "POST /api/contacts/:id/notes",
+        "DELETE /api/contacts/:id",
+      ],
+    })
+  })
+
+  // General 404 handler
+  app.use("*", (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: "Endpoint not found",
+      requestedUrl: req.originalUrl,
+      method: req.method,
+    })
+  })
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    logger.error("Unhandled error", { error, method: req.method, path: req.originalUrl.split("?")[0] })
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: config.isDevelopment ? error.message : undefined,
+    })
+  })
+
+  return app
+}
+
+module.exports = createApp
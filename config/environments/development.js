@@ -0,0 +1,12 @@
+// Local development: the Vite and Next dev servers may call the API, and the form
+// can be submitted more often while testing
+module.exports = {
+  ALLOWED_ORIGINS: [
+    "http://localhost:5173",
+    "http://127.0.0.1:5173",
+    "http://localhost:3000",
+    "http://127.0.0.1:3000",
+    "https://delhidigital.co",
+  ].join(","),
+  RATE_LIMIT_CONTACT_MAX: 20,
+}
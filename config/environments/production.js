@@ -0,0 +1,3 @@
+module.exports = {
+  ALLOWED_ORIGINS: "https://delhidigital.co",
+}
@@ -0,0 +1,11 @@
+// Automated tests: no log output, no shared rate-limit counters, no captcha round trips, a retention
+// period so the retention policy can be exercised, and uploads kept out of the real upload directory
+module.exports = {
+  ALLOWED_ORIGINS: "http://localhost:5173",
+  LOG_LEVEL: "silent",
+  RATE_LIMIT_STORE: "memory",
+  CAPTCHA_PROVIDER: "none",
+  ADMIN_EMAIL: "leads@example.com",
+  RETENTION_DAYS: 365,
+  STORAGE_LOCAL_DIR: "tmp/test-uploads",
+}
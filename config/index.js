@@ -0,0 +1,19 @@
+const path = require("path")
+const { loadConfig, ConfigError } = require("./load")
+
+// .env is read before anything else; variables already set in the environment win
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") })
+
+// The process configuration, loaded once. Invalid settings stop the process before anything
+// else starts, with one line per problem.
+function loadOrExit() {
+  try {
+    return loadConfig()
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error
+    process.stderr.write(`${error.message}\n`)
+    process.exit(1)
+  }
+}
+
+module.exports = loadOrExit()
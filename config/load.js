@@ -0,0 +1,146 @@
+const validator = require("validator")
+const { SCHEMA, NODE_ENVS } = require("./schema")
+
+const TRUE_VALUES = ["true", "1", "yes", "on"]
+const FALSE_VALUES = ["false", "0", "no", "off"]
+
+// Thrown when settings are missing or invalid; lists every problem, not just the first
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join("\n")}`)
+    this.name = "ConfigError"
+    this.errors = errors
+  }
+}
+
+// Overrides for one environment (config/environments/<NODE_ENV>.js), keyed like the environment
+function environmentOverrides(name) {
+  return NODE_ENVS.includes(name) ? require(`./environments/${name}`) : {}
+}
+
+function parseList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+// Returns [error, parsed value] for one raw string
+function parseValue(key, spec, value, raw) {
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const number = Number(value)
+      if (!Number.isFinite(number) || (spec.type === "integer" && !Number.isInteger(number))) {
+        return [`${key} must be ${spec.type === "integer" ? "an integer" : "a number"}, got "${value}"`]
+      }
+      if ((spec.min != null && number < spec.min) || (spec.max != null && number > spec.max)) {
+        return [`${key} must be between ${spec.min ?? "-∞"} and ${spec.max ?? "∞"}, got ${number}`]
+      }
+      return [null, number]
+    }
+    case "boolean": {
+      const normalized = value.toLowerCase()
+      if (TRUE_VALUES.includes(normalized)) return [null, true]
+      if (FALSE_VALUES.includes(normalized)) return [null, false]
+      return [`${key} must be true or false, got "${value}"`]
+    }
+    case "enum": {
+      const values = typeof spec.values === "function" ? spec.values(raw) : spec.values
+      if (!values.includes(value)) {
+        const condition = typeof spec.values === "function" && spec.when ? ` ${spec.when}` : ""
+        return [`${key} must be one of: ${values.join(", ")}${condition}; got "${value}"`]
+      }
+      return [null, value]
+    }
+    case "list": {
+      const items = parseList(value)
+      const invalid = items.filter(
+        (item) =>
+          (spec.itemValues && !spec.itemValues.includes(item)) || (spec.itemPattern && !spec.itemPattern.test(item)),
+      )
+      if (invalid.length > 0) {
+        const hint = spec.itemValues ? `; use any of: ${spec.itemValues.join(", ")}` : ""
+        return [`${key} has invalid entries: ${invalid.join(", ")}${hint}`]
+      }
+      return [null, items]
+    }
+    case "url":
+      if (!validator.isURL(value, { protocols: ["http", "https"], require_protocol: true, require_tld: false })) {
+        return [`${key} must be an http(s) URL, got "${value}"`]
+      }
+      return [null, value.replace(/\/+$/, "")]
+    case "email":
+      if (!validator.isEmail(value)) return [`${key} must be an email address, got "${value}"`]
+      return [null, value]
+    default: {
+      const minLength = typeof spec.minLength === "function" ? spec.minLength(raw) : spec.minLength
+      if (minLength && value.length < minLength) return [`${key} must be at least ${minLength} characters long`]
+      if (spec.pattern && !spec.pattern.test(value)) return [`${key} is not in the expected format, got "${value}"`]
+      return [null, value]
+    }
+  }
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split(".")
+  const last = keys.pop()
+  let node = target
+  for (const key of keys) {
+    node[key] = node[key] || {}
+    node = node[key]
+  }
+  node[last] = value
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === "object") deepFreeze(value)
+  }
+  return Object.freeze(object)
+}
+
+// Builds the config object from environment variables. Each setting comes from the environment
+// if set, otherwise from the environment's overrides file, otherwise from the schema default.
+// Throws a ConfigError naming every missing or invalid setting.
+function loadConfig(env = process.env) {
+  const errors = []
+  const nodeEnv = env.NODE_ENV || SCHEMA.NODE_ENV.default
+  const overrides = environmentOverrides(nodeEnv)
+
+  // Raw settings as strings, without schema defaults; conditional requirements are decided on these
+  const raw = { NODE_ENV: nodeEnv }
+  for (const key of Object.keys(SCHEMA)) {
+    const value = env[key] !== undefined && env[key] !== "" ? env[key] : overrides[key]
+    if (value !== undefined && value !== "") raw[key] = String(value).trim()
+  }
+
+  const config = {}
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let value = spec.default
+
+    if (raw[key] !== undefined) {
+      const [error, parsed] = parseValue(key, spec, raw[key], raw)
+      if (error) errors.push(error)
+      value = parsed
+    } else {
+      const required = typeof spec.required === "function" ? spec.required(raw) : spec.required
+      if (required) errors.push(spec.when ? `${key} is required ${spec.when}` : `${key} is required`)
+      if (value !== undefined && spec.type === "list") value = parseList(value)
+    }
+
+    setPath(config, spec.path, value)
+  }
+
+  if (errors.length > 0) throw new ConfigError(errors)
+
+  config.isProduction = config.env === "production"
+  config.isDevelopment = config.env === "development"
+  config.isTest = config.env === "test"
+  config.cors.allowedOrigins = config.cors.allowedOrigins || []
+  config.apiUrl = config.apiUrl || config.frontendUrl || `http://localhost:${config.port}`
+
+  return deepFreeze(config)
+}
+
+module.exports = { loadConfig, ConfigError }
@@ -0,0 +1,250 @@
+// Every setting the app reads, keyed by environment variable.
+//   path      where the parsed value lives in the config object
+//   type      string, integer, number, boolean, enum (values), list (comma-separated), url or email
+//   values    allowed enum values (a list, or a function of the raw settings)
+//   min/max   bounds for numbers; minLength for strings (a number or a function of the raw settings)
+//   pattern   regular expression a string must match; lists check items with itemPattern or itemValues
+//   default   used when neither the environment nor the environment file sets it
+//   required  true, or a function of the raw settings for conditional requirements
+//   when      how the condition reads in error messages
+const NODE_ENVS = ["development", "production", "test"]
+const EMAIL_TRANSPORTS = ["smtp", "file", "sendgrid", "ses"]
+const CAPTCHA_PROVIDERS = ["recaptcha", "hcaptcha", "turnstile", "none"]
+const SPAM_CHECKS = ["captcha", "honeypot", "timing", "content"]
+const RETENTION_STATUSES = ["converted", "lost", "spam"]
+const ATTACHMENT_TYPES = ["pdf", "png", "jpeg", "gif", "webp", "docx", "xlsx", "pptx"]
+const STORAGE_DRIVERS = ["local", "s3"]
+const REMOTE_STORAGE_DRIVERS = ["s3"]
+const ORIGIN_PATTERN = /^https?:\/\/[^/\s]+$/
+const DUPLICATE_RULE_PATTERN = /^(email|phone|name|formType)(\+(email|phone|name|formType))*$/
+
+const storageDriver = (raw) => raw.STORAGE_DRIVER || "local"
+// Vercel functions can't keep files on disk: uploads there must go to object storage
+const onVercelInProduction = (raw) => Boolean(raw.VERCEL) && raw.NODE_ENV === "production"
+const emailTransport = (raw) => raw.EMAIL_TRANSPORT || (raw.SMTP_USER ? "smtp" : null)
+const captchaProvider = (raw) => {
+  const checks = raw.SPAM_CHECKS ? raw.SPAM_CHECKS.split(",").map((check) => check.trim()) : SPAM_CHECKS
+  return checks.includes("captcha") ? raw.CAPTCHA_PROVIDER || "recaptcha" : "none"
+}
+// Captcha secrets are only enforced in production; elsewhere a missing secret flags submissions as spam
+const captchaSecretRequired = (provider) => (raw) => raw.NODE_ENV === "production" && captchaProvider(raw) === provider
+
+const SCHEMA = {
+  // Server
+  NODE_ENV: { path: "env", type: "enum", values: NODE_ENVS, default: "production" },
+  PORT: { path: "port", type: "integer", min: 1, max: 65535, default: 5000 },
+  VERCEL: { path: "vercel", type: "boolean", default: false },
+  MONGODB_URI: { path: "mongodbUri", type: "string", required: true, pattern: /^mongodb(\+srv)?:\/\// },
+  FRONTEND_URL: {
+    path: "frontendUrl",
+    type: "url",
+    required: (raw) => raw.NODE_ENV === "production",
+    when: "in production",
+  },
+  // Public URL of this API, for links in emails (default: FRONTEND_URL, for a frontend that proxies /api)
+  API_URL: { path: "apiUrl", type: "url" },
+  ALLOWED_ORIGINS: { path: "cors.allowedOrigins", type: "list", itemPattern: ORIGIN_PATTERN },
+  LOG_LEVEL: { path: "logLevel", type: "enum", values: ["debug", "info", "warn", "error", "silent"], default: "info" },
+  SHUTDOWN_TIMEOUT_MS: { path: "shutdownTimeoutMs", type: "integer", min: 0, default: 10000 },
+  MONGODB_RETRY_MAX_DELAY_MS: { path: "database.retryMaxDelayMs", type: "integer", min: 1000, default: 30000 },
+  HEALTH_CHECK_TIMEOUT_MS: { path: "health.timeoutMs", type: "integer", min: 100, default: 3000 },
+  HEALTH_EMAIL_CHECK_INTERVAL_MS: { path: "health.emailCheckIntervalMs", type: "integer", min: 0, default: 60000 },
+  CLIENT_INFO_TRACKING: {
+    path: "clientInfoTracking",
+    type: "enum",
+    values: ["off", "anonymized", "full"],
+    default: "off",
+  },
+
+  // Admin authentication
+  JWT_SECRET: {
+    path: "auth.jwtSecret",
+    type: "string",
+    required: true,
+    minLength: (raw) => (raw.NODE_ENV === "production" ? 32 : 1),
+  },
+  ACCESS_TOKEN_TTL: { path: "auth.accessTokenTtl", type: "string", pattern: /^\d+[smhd]?$/, default: "15m" },
+  REFRESH_TOKEN_TTL_DAYS: { path: "auth.refreshTokenTtlDays", type: "integer", min: 1, default: 7 },
+  CRON_SECRET: { path: "cronSecret", type: "string", required: (raw) => Boolean(raw.VERCEL), when: "on Vercel" },
+
+  // Rate limits and duplicates
+  RATE_LIMIT_STORE: { path: "rateLimits.store", type: "enum", values: ["mongo", "memory"], default: "mongo" },
+  RATE_LIMIT_CONTACT_MAX: { path: "rateLimits.contact.max", type: "integer", min: 1, default: 5 },
+  RATE_LIMIT_CONTACT_WINDOW_MINUTES: { path: "rateLimits.contact.windowMinutes", type: "integer", min: 1, default: 15 },
+  RATE_LIMIT_LOGIN_MAX: { path: "rateLimits.login.max", type: "integer", min: 1, default: 10 },
+  RATE_LIMIT_LOGIN_WINDOW_MINUTES: { path: "rateLimits.login.windowMinutes", type: "integer", min: 1, default: 15 },
+  RATE_LIMIT_BOOKING_MAX: { path: "rateLimits.booking.max", type: "integer", min: 1, default: 10 },
+  RATE_LIMIT_BOOKING_WINDOW_MINUTES: { path: "rateLimits.booking.windowMinutes", type: "integer", min: 1, default: 15 },
+  DUPLICATE_WINDOW_MINUTES: { path: "duplicates.windowMinutes", type: "integer", min: 0, default: 60 },
+  DUPLICATE_MATCH: {
+    path: "duplicates.match",
+    type: "list",
+    itemPattern: DUPLICATE_RULE_PATTERN,
+    default: "email,phone",
+  },
+
+  // Spam protection
+  SPAM_CHECKS: { path: "spam.checks", type: "list", itemValues: SPAM_CHECKS, default: SPAM_CHECKS.join(",") },
+  CAPTCHA_PROVIDER: { path: "spam.captchaProvider", type: "enum", values: CAPTCHA_PROVIDERS, default: "recaptcha" },
+  RECAPTCHA_SECRET_KEY: {
+    path: "spam.recaptcha.secretKey",
+    type: "string",
+    required: captchaSecretRequired("recaptcha"),
+    when: "when CAPTCHA_PROVIDER is recaptcha in production",
+  },
+  RECAPTCHA_MIN_SCORE: { path: "spam.recaptcha.minScore", type: "number", min: 0, max: 1, default: 0.5 },
+  RECAPTCHA_ACTION: { path: "spam.recaptcha.action", type: "string" },
+  HCAPTCHA_SECRET_KEY: {
+    path: "spam.hcaptcha.secretKey",
+    type: "string",
+    required: captchaSecretRequired("hcaptcha"),
+    when: "when CAPTCHA_PROVIDER is hcaptcha in production",
+  },
+  HCAPTCHA_SITE_KEY: { path: "spam.hcaptcha.siteKey", type: "string" },
+  TURNSTILE_SECRET_KEY: {
+    path: "spam.turnstile.secretKey",
+    type: "string",
+    required: captchaSecretRequired("turnstile"),
+    when: "when CAPTCHA_PROVIDER is turnstile in production",
+  },
+  SPAM_HONEYPOT_FIELD: { path: "spam.honeypotField", type: "string", pattern: /^[A-Za-z_][\w-]*$/, default: "website" },
+  SPAM_MIN_SUBMIT_SECONDS: { path: "spam.minSubmitSeconds", type: "number", min: 0, default: 3 },
+  SPAM_KEYWORDS: { path: "spam.keywords", type: "list" },
+  SPAM_MAX_LINKS: { path: "spam.maxLinks", type: "integer", min: 0, default: 2 },
+
+  // Contact details
+  DEFAULT_PHONE_COUNTRY: { path: "phone.defaultCountry", type: "string", pattern: /^[A-Z]{2}$/, default: "IN" },
+  EMAIL_MX_CHECK: { path: "emailDomain.mxCheck", type: "boolean", default: false },
+  ADMIN_EMAIL: {
+    path: "adminEmail",
+    type: "email",
+    required: (raw) => Boolean(emailTransport(raw)),
+    when: "when an email transport is configured",
+  },
+  ADMIN_LOCALE: { path: "adminLocale", type: "enum", values: ["en", "hi"], default: "en" },
+  COMPANY_NAME: { path: "company.name", type: "string", default: "Delhi Digital Co" },
+  COMPANY_PHONE: { path: "company.phone", type: "string", default: "+91-92051-10208" },
+  COMPANY_PHONE_LINK: {
+    path: "company.phoneLink",
+    type: "string",
+    pattern: /^\+[0-9]{7,15}$/,
+    default: "+919205110208",
+  },
+  COMPANY_WHATSAPP: { path: "company.whatsapp", type: "string", pattern: /^[0-9]{7,15}$/, default: "919205110208" },
+  COMPANY_EMAIL: { path: "company.email", type: "email", default: "pradum@delhidigital.co" },
+
+  // Email delivery
+  EMAIL_TRANSPORT: { path: "email.transport", type: "enum", values: EMAIL_TRANSPORTS },
+  EMAIL_FROM: { path: "email.from", type: "string" },
+  EMAIL_FILE_DIR: { path: "email.file.dir", type: "string", default: "tmp/mail" },
+  EMAIL_MAX_ATTEMPTS: { path: "email.maxAttempts", type: "integer", min: 1, default: 6 },
+  EMAIL_QUEUE_INTERVAL_MS: { path: "email.queueIntervalMs", type: "integer", min: 1000, default: 15000 },
+  SMTP_HOST: {
+    path: "email.smtp.host",
+    type: "string",
+    required: (raw) => emailTransport(raw) === "smtp",
+    when: "for the smtp transport",
+  },
+  SMTP_PORT: { path: "email.smtp.port", type: "integer", min: 1, max: 65535, default: 587 },
+  SMTP_USER: {
+    path: "email.smtp.user",
+    type: "string",
+    required: (raw) => emailTransport(raw) === "smtp",
+    when: "for the smtp transport",
+  },
+  SMTP_PASS: {
+    path: "email.smtp.pass",
+    type: "string",
+    required: (raw) => emailTransport(raw) === "smtp",
+    when: "for the smtp transport",
+  },
+  SMTP_SECURE: { path: "email.smtp.secure", type: "boolean" },
+  SMTP_REQUIRE_TLS: { path: "email.smtp.requireTls", type: "boolean", default: false },
+  SENDGRID_API_KEY: {
+    path: "email.sendgrid.apiKey",
+    type: "string",
+    required: (raw) => emailTransport(raw) === "sendgrid",
+    when: "for the sendgrid transport",
+  },
+  AWS_REGION: { path: "email.ses.region", type: "string", default: "ap-south-1" },
+  AWS_ACCESS_KEY_ID: {
+    path: "email.ses.accessKeyId",
+    type: "string",
+    required: (raw) => emailTransport(raw) === "ses",
+    when: "for the ses transport",
+  },
+  AWS_SECRET_ACCESS_KEY: {
+    path: "email.ses.secretAccessKey",
+    type: "string",
+    required: (raw) => emailTransport(raw) === "ses",
+    when: "for the ses transport",
+  },
+  AWS_SESSION_TOKEN: { path: "email.ses.sessionToken", type: "string" },
+
+  // Privacy
+  PRIVACY_POLICY_VERSION: { path: "privacy.policyVersion", type: "string", default: "1.0" },
+  CONSENT_REQUIRED: { path: "privacy.consentRequired", type: "boolean", default: true },
+  RETENTION_DAYS: { path: "privacy.retention.days", type: "integer", min: 0, default: 0 },
+  RETENTION_STATUSES: {
+    path: "privacy.retention.statuses",
+    type: "list",
+    itemValues: RETENTION_STATUSES,
+    default: "converted,lost",
+  },
+  RETENTION_ACTION: {
+    path: "privacy.retention.action",
+    type: "enum",
+    values: ["anonymize", "delete"],
+    default: "anonymize",
+  },
+  RETENTION_INTERVAL_MS: { path: "privacy.retention.intervalMs", type: "integer", min: 60000, default: 3600000 },
+
+  // Attachments on form submissions
+  ATTACHMENT_MAX_FILES: { path: "attachments.maxFiles", type: "integer", min: 0, max: 20, default: 5 },
+  ATTACHMENT_MAX_FILE_SIZE_MB: { path: "attachments.maxFileSizeMb", type: "number", min: 0.1, default: 10 },
+  ATTACHMENT_TYPES: {
+    path: "attachments.types",
+    type: "list",
+    itemValues: ATTACHMENT_TYPES,
+    default: ATTACHMENT_TYPES.join(","),
+  },
+  STORAGE_DRIVER: {
+    path: "storage.driver",
+    type: "enum",
+    values: (raw) => (onVercelInProduction(raw) ? REMOTE_STORAGE_DRIVERS : STORAGE_DRIVERS),
+    default: "local",
+    required: onVercelInProduction,
+    when: "on Vercel in production",
+  },
+  STORAGE_LOCAL_DIR: { path: "storage.local.dir", type: "string", default: "uploads" },
+  S3_BUCKET: {
+    path: "storage.s3.bucket",
+    type: "string",
+    required: (raw) => storageDriver(raw) === "s3",
+    when: "for the s3 storage driver",
+  },
+  S3_REGION: { path: "storage.s3.region", type: "string", default: "us-east-1" },
+  S3_ENDPOINT: { path: "storage.s3.endpoint", type: "url" },
+  S3_ACCESS_KEY_ID: {
+    path: "storage.s3.accessKeyId",
+    type: "string",
+    required: (raw) => storageDriver(raw) === "s3",
+    when: "for the s3 storage driver",
+  },
+  S3_SECRET_ACCESS_KEY: {
+    path: "storage.s3.secretAccessKey",
+    type: "string",
+    required: (raw) => storageDriver(raw) === "s3",
+    when: "for the s3 storage driver",
+  },
+
+  // Follow-up sequences
+  FOLLOW_UP_INTERVAL_MS: { path: "followUps.intervalMs", type: "integer", min: 1000, default: 60000 },
+
+  // Webhooks and reports
+  WEBHOOK_QUEUE_INTERVAL_MS: { path: "webhooks.queueIntervalMs", type: "integer", min: 1000, default: 15000 },
+  STATS_TIMEZONE: { path: "stats.timezone", type: "string", default: "Asia/Kolkata" },
+  STATS_CACHE_TTL_MS: { path: "stats.cacheTtlMs", type: "integer", min: 0, default: 60000 },
+}
+
+module.exports = { SCHEMA, NODE_ENVS, EMAIL_TRANSPORTS, CAPTCHA_PROVIDERS, SPAM_CHECKS }
@@ -0,0 +1,89 @@
+const AuditEntry = require("../models/AuditEntry")
+const logger = require("../utils/logger")
+
+// What a route's :id refers to, by the path its router is mounted at
+const TARGET_TYPES = {
+  "/api/contacts": "contact",
+  "/api/admin/users": "admin",
+  "/api/admin/emails": "email",
+  "/api/admin/webhooks": "webhook",
+  "/api/admin/forms": "form",
+  "/api/admin/bookings": "booking",
+}
+
+// Routes that change data call this with the values they changed, before and after
+function auditChange(req, before, after) {
+  req.auditChange = { before, after }
+}
+
+// For routes that identify the admin without an access token (login, accepting an invite, refresh)
+function auditActor(req, admin) {
+  req.auditActor = { sub: admin._id.toString(), email: admin.email, role: admin.role }
+}
+
+function targetOf(req) {
+  const { id, key, deliveryId } = req.params || {}
+  if (deliveryId) return { targetType: "webhookDelivery", targetId: deliveryId }
+  if (id || key) return { targetType: TARGET_TYPES[req.baseUrl], targetId: id || key }
+  return {}
+}
+
+// Query strings are client input: "$" and "." are not allowed at the start of or in MongoDB field names
+function storableKeys(value) {
+  if (Array.isArray(value)) return value.map(storableKeys)
+  if (value === null || typeof value !== "object") return value
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key.replace(/^\$|\./g, "_"), storableKeys(item)]),
+  )
+}
+
+// Free-text search terms can name a person and the log is kept forever, so only their use is recorded
+const FREE_TEXT_PARAMS = new Set(["q"])
+
+function storableQuery(query) {
+  const redacted = logger.redact(query)
+  for (const key of Object.keys(redacted)) {
+    if (FREE_TEXT_PARAMS.has(key)) redacted[key] = "[search]"
+  }
+  return storableKeys(redacted)
+}
+
+function writeEntry(req, res) {
+  const actor = req.auditActor || req.auth
+  // Requests without a valid token aren't attributable to anyone; the access log still has them
+  if (!actor) return Promise.resolve()
+
+  const route = req.route
+    ? `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}`
+    : req.originalUrl.split("?")[0]
+  return AuditEntry.create({
+    actor: actor.sub,
+    actorEmail: actor.email,
+    actorRole: actor.role,
+    action: `${req.method} ${route}`,
+    ...targetOf(req),
+    before: req.auditChange?.before,
+    after: req.auditChange?.after,
+    query: Object.keys(req.query).length > 0 ? storableQuery(req.query) : undefined,
+    statusCode: res.statusCode,
+    ipAddress: req.ip,
+    requestId: req.id,
+  })
+}
+
+// Records every authenticated request to the admin API in the audit log. The entry is written
+// before the response is sent, so it isn't lost when a serverless function is frozen afterwards.
+function auditAdminRequests(req, res, next) {
+  const end = res.end
+
+  res.end = function (...args) {
+    res.end = end
+    writeEntry(req, res)
+      .catch((error) => logger.error("Error writing audit entry", { requestId: req.id, error }))
+      .finally(() => end.apply(res, args))
+    return res
+  }
+  next()
+}
+
+module.exports = { auditAdminRequests, auditChange, auditActor }
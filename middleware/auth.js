@@ -1,7 +1,10 @@
 const jwt = require("jsonwebtoken")
+const Admin = require("../models/Admin")
+const { hasPermission } = require("../utils/permissions")
+const config = require("../config")
 
-// Simple admin authentication middleware
-const authenticateAdmin = (req, res, next) => {
+// Admin authentication middleware
+const authenticateAdmin = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "")
 
   if (!token) {
@@ -11,16 +14,55 @@ const authenticateAdmin = (req, res, next) => {
     })
   }
 
+  let decoded
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    req.admin = decoded
+    decoded = jwt.verify(token, config.auth.jwtSecret)
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === "TokenExpiredError" ? "Token expired." : "Invalid token.",
+    })
+  }
+
+  try {
+    // Tokens issued before a "logout everywhere", role change or deactivation carry an old version
+    const admin = await Admin.findById(decoded.sub)
+    if (!admin || !admin.active || admin.tokenVersion !== decoded.ver) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked.",
+      })
+    }
+
+    req.admin = admin
+    // The decoded token, for the audit log's actor
+    req.auth = decoded
     next()
   } catch (error) {
-    res.status(400).json({
+    next(error)
+  }
+}
+
+// Role-based authorization; use after authenticateAdmin
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: "You do not have permission to perform this action.",
+    })
+  }
+  next()
+}
+
+// Vercel Cron jobs send "Authorization: Bearer <CRON_SECRET>"
+const requireCronSecret = (req, res, next) => {
+  if (!config.cronSecret || req.header("Authorization") !== `Bearer ${config.cronSecret}`) {
+    return res.status(401).json({
       success: false,
-      message: "Invalid token.",
+      message: "Unauthorized",
     })
   }
+  next()
 }
 
-module.exports = { authenticateAdmin }
+module.exports = { authenticateAdmin, requirePermission, requireCronSecret }
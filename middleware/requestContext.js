@@ -0,0 +1,40 @@
+const crypto = require("crypto")
+const logger = require("../utils/logger")
+
+// Ids passed in by a proxy or the frontend are kept if they look sane
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/
+
+// Gives every request an id (X-Request-Id), returned in the response header and attached
+// to its log lines, queued emails, webhook deliveries and contact records
+function assignRequestId(req, res, next) {
+  const incoming = req.get("X-Request-Id")
+  req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  res.set("X-Request-Id", req.id)
+  logger.runWithRequestId(req.id, next)
+}
+
+// One line per request once the response is sent. The query string is left out,
+// since it can carry search terms such as email addresses.
+function accessLog(req, res, next) {
+  const startedAt = process.hrtime.bigint()
+
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0]
+    let level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info"
+    // Health probes run every few seconds: successful ones are logged at debug, failing ones as warnings
+    if (path.startsWith("/api/health")) level = level === "info" ? "debug" : "warn"
+    logger[level]("HTTP request", {
+      // "finish" can fire outside the request's async context, so pass the id explicitly
+      requestId: req.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+      contentLength: Number(res.get("Content-Length")) || undefined,
+      adminId: req.admin ? req.admin._id : undefined,
+    })
+  })
+  next()
+}
+
+module.exports = { assignRequestId, accessLog }
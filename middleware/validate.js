@@ -0,0 +1,16 @@
+const { validationResult } = require("express-validator")
+
+// Responds with 400 and the express-validator errors, if any
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    })
+  }
+  next()
+}
+
+module.exports = { handleValidation }
@@ -0,0 +1,39 @@
+// Indexes for the admin contact list and search. Names match the ones Mongoose generates from
+// models/Contact.js, so running this on a database Mongoose has already indexed changes nothing.
+const INDEXES = [
+  { key: { email: 1 } },
+  { key: { phone: 1 } },
+  { key: { submittedAt: -1 } },
+  { key: { status: 1 } },
+  { key: { assignedTo: 1 } },
+  { key: { "attribution.utmCampaign": 1, submittedAt: -1 } },
+  {
+    key: { name: "text", email: "text", phone: "text", message: "text" },
+    name: "contact_text_search",
+    weights: { name: 5, email: 5, phone: 5, message: 1 },
+  },
+]
+
+function indexName(index) {
+  return (
+    index.name ||
+    Object.entries(index.key)
+      .map(([field, direction]) => `${field}_${direction}`)
+      .join("_")
+  )
+}
+
+module.exports = {
+  description: "Create the contact list and text search indexes",
+
+  async up(db) {
+    await db.collection("contacts").createIndexes(INDEXES.map((index) => ({ ...index, name: indexName(index) })))
+  },
+
+  async down(db) {
+    const contacts = db.collection("contacts")
+    for (const index of INDEXES) {
+      if (await contacts.indexExists(indexName(index))) await contacts.dropIndex(indexName(index))
+    }
+  },
+}
@@ -0,0 +1,32 @@
+const { parsePhone, E164_PATTERN } = require("../utils/phone")
+
+// Converts phone numbers saved before E.164 storage (10 digits, no country code) to E.164 and
+// fills in phoneCountry. Numbers are read as DEFAULT_PHONE_COUNTRY numbers; ones that can't be
+// parsed are listed and left for fixing by hand.
+module.exports = {
+  description: "Convert stored phone numbers to E.164",
+
+  async up(db) {
+    const contacts = db.collection("contacts")
+    const cursor = contacts.find({ phone: { $not: E164_PATTERN } }, { projection: { phone: 1 } })
+
+    let updated = 0
+    const invalid = []
+    for await (const contact of cursor) {
+      const phone = parsePhone(contact.phone)
+      if (!phone) {
+        invalid.push(`${contact._id} (${contact.phone})`)
+        continue
+      }
+      await contacts.updateOne({ _id: contact._id }, { $set: { phone: phone.e164, phoneCountry: phone.country } })
+      updated += 1
+    }
+
+    console.log(`  Updated ${updated} contact(s)`)
+    if (invalid.length > 0) {
+      console.log(`  Could not parse ${invalid.length} phone number(s); fix these by hand:\n  ${invalid.join("\n  ")}`)
+    }
+  },
+
+  // No down(): the original formatting isn't kept, and E.164 numbers are valid in every version since
+}
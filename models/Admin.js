@@ -0,0 +1,83 @@
+const mongoose = require("mongoose")
+const bcrypt = require("bcryptjs")
+const { ROLES } = require("../utils/permissions")
+
+const SALT_ROUNDS = 12
+// Hash of a random password at SALT_ROUNDS, compared against when there is no real hash to check
+const DUMMY_HASH = "$2a$12$nyg9jGwcJvUpy9RTEYa9X.G8jsjdYVVBB6V/eEcsbKIYXpwb69nj6"
+
+// Admin user schema
+const adminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 255,
+  },
+  // Empty until an invited admin accepts their invite
+  passwordHash: String,
+  role: {
+    type: String,
+    enum: ROLES,
+    default: "sales-viewer",
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  inviteTokenHash: String,
+  inviteExpiresAt: Date,
+  // Bumped on "logout everywhere", role changes and deactivation so previously
+  // issued access tokens stop working
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  lastLoginAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+adminSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS)
+}
+
+adminSchema.methods.verifyPassword = async function (password) {
+  if (!this.passwordHash) return this.constructor.verifyMissingPassword(password)
+  return bcrypt.compare(password, this.passwordHash)
+}
+
+// Always fails, but takes as long as a real check, so response times don't reveal which emails have accounts
+adminSchema.statics.verifyMissingPassword = async function (password) {
+  await bcrypt.compare(password, DUMMY_HASH)
+  return false
+}
+
+// Never leak the password hash in API responses
+adminSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    active: this.active,
+    pendingInvite: !this.passwordHash,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+  }
+}
+
+module.exports = mongoose.models.Admin || mongoose.model("Admin", adminSchema)
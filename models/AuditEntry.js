@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+
+// Operations that would change or remove an entry
+const MUTATIONS = [
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]
+
+// One admin request: who did it, to what, and what changed. Written by middleware/audit.js
+// and append-only: the model refuses updates and deletes, and no route edits entries.
+const auditEntrySchema = new mongoose.Schema(
+  {
+    // From the decoded access token
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    actorEmail: String,
+    actorRole: String,
+    // Method and route, e.g. "PATCH /api/contacts/:id/status"
+    action: {
+      type: String,
+      required: true,
+    },
+    // What the route's id refers to, e.g. "contact", and that id
+    targetType: String,
+    targetId: String,
+    // Values the request changed, as they were before and after (only set by routes that change data)
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    // Filters of read requests, with personal data redacted
+    query: mongoose.Schema.Types.Mixed,
+    statusCode: Number,
+    ipAddress: String,
+    // Request id (X-Request-Id), for matching the entry with the logs
+    requestId: String,
+    at: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  { versionKey: false },
+)
+
+auditEntrySchema.pre(MUTATIONS, { document: true, query: true }, function () {
+  throw new Error("Audit entries are append-only")
+})
+
+auditEntrySchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Audit entries are append-only")
+})
+
+auditEntrySchema.index({ at: -1 })
+auditEntrySchema.index({ actor: 1, at: -1 })
+auditEntrySchema.index({ targetId: 1, at: -1 })
+auditEntrySchema.index({ action: 1, at: -1 })
+
+module.exports = mongoose.models.AuditEntry || mongoose.model("AuditEntry", auditEntrySchema)
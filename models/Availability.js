@@ -0,0 +1,107 @@
+const mongoose = require("mongoose")
+const { TIME_PATTERN, isValidTimezone, isValidDate, minutesOf } = require("../utils/timezone")
+
+// Opening hours on one day of the week, in the availability's timezone
+const weeklyHoursSchema = new mongoose.Schema(
+  {
+    // 0 (Sunday) to 6 (Saturday)
+    day: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "start must be a time like 10:00"],
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "end must be a time like 18:00"],
+      validate: {
+        validator(end) {
+          return !TIME_PATTERN.test(this.start) || minutesOf(end) > minutesOf(this.start)
+        },
+        message: "end must be after start",
+      },
+    },
+  },
+  { _id: false },
+)
+
+// Days off, from and to inclusive, in the availability's timezone
+const blackoutSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+      validate: { validator: isValidDate, message: "from must be a date like 2026-12-25" },
+    },
+    // Leave out for a single day
+    to: {
+      type: String,
+      validate: [
+        { validator: isValidDate, message: "to must be a date like 2026-12-25" },
+        {
+          validator(to) {
+            return !this.from || to >= this.from
+          },
+          message: "to must not be before from",
+        },
+      ],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+  },
+  { _id: false },
+)
+
+// When consultation calls can be booked (see services/bookings). There is one document, managed
+// through /api/admin/bookings/availability; until it's saved nothing can be booked.
+const availabilitySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata",
+      validate: { validator: isValidTimezone, message: "Unknown timezone: {VALUE}" },
+    },
+    slotMinutes: {
+      type: Number,
+      default: 30,
+      min: 15,
+      max: 240,
+    },
+    // How soon a slot can be booked, and how far ahead
+    minNoticeHours: {
+      type: Number,
+      default: 12,
+      min: 0,
+      max: 720,
+    },
+    maxDaysAhead: {
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 365,
+    },
+    weeklyHours: [weeklyHoursSchema],
+    blackouts: [blackoutSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  { timestamps: true, versionKey: false },
+)
+
+module.exports = mongoose.models.Availability || mongoose.model("Availability", availabilitySchema)
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose")
+
+const BOOKING_STATUSES = ["confirmed", "cancelled"]
+
+// A consultation call booked by a lead (see services/bookings)
+const bookingSchema = new mongoose.Schema(
+  {
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    // Availability timezone when it was booked; times in emails are shown in it
+    timezone: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      default: "confirmed",
+    },
+    // What the lead wants to discuss
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Calendar invite revision (iCalendar SEQUENCE); bumped on every reschedule or cancellation so
+    // calendars replace the earlier invite
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    cancelledAt: Date,
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true },
+)
+
+// One confirmed booking per slot: the database refuses a second one even when two requests race
+bookingSchema.index({ startsAt: 1 }, { unique: true, partialFilterExpression: { status: "confirmed" } })
+bookingSchema.index({ contact: 1, startsAt: -1 })
+
+module.exports = mongoose.models.Booking || mongoose.model("Booking", bookingSchema)
@@ -0,0 +1,253 @@
+const mongoose = require("mongoose")
+const { E164_PATTERN } = require("../utils/phone")
+const { STATUSES, FORM_KEY_PATTERN } = require("../utils/contactQuery")
+const { LOCALES, DEFAULT_LOCALE } = require("../utils/emailTemplates")
+const logger = require("../utils/logger")
+
+// Internal note left by an admin on a contact
+const noteSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// The privacy policy checkbox on the form: when it was ticked and which version of the policy it was for
+const consentSchema = new mongoose.Schema(
+  {
+    given: {
+      type: Boolean,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    policyVersion: String,
+  },
+  { _id: false },
+)
+
+// A file uploaded with the submission (see utils/attachments). The file itself is in storage under key.
+const attachmentSchema = new mongoose.Schema({
+  // Name as uploaded, for display and downloads
+  filename: {
+    type: String,
+    required: true,
+  },
+  // Detected from the file's content, not taken from the upload
+  contentType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  // Storage driver the file was written with (STORAGE_DRIVER) and its key there
+  storage: String,
+  key: {
+    type: String,
+    required: true,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// One entry per change to a contact: who did what, and when
+const activitySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "created",
+        "status_changed",
+        "assigned",
+        "note_added",
+        "resubmitted",
+        "anonymized",
+        "follow_up_sent",
+        "unsubscribed",
+        "booking_created",
+        "booking_rescheduled",
+        "booking_cancelled",
+      ],
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    details: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    // Request that made the change (X-Request-Id), for matching it with the logs
+    requestId: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// A later submission by the same person, merged into their contact instead of creating a new one
+const resubmissionSchema = new mongoose.Schema(
+  {
+    formType: String,
+    message: String,
+    customFields: mongoose.Schema.Types.Mixed,
+    attribution: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String,
+    consent: consentSchema,
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// A lead submitted through one of the landing-page forms
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 255,
+  },
+  // E.164, e.g. +919876543210
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    match: E164_PATTERN,
+  },
+  // ISO 3166-1 alpha-2 country of the phone number, e.g. IN
+  phoneCountry: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{2}$/,
+  },
+  // Required unless the form definition says otherwise (checked by validateFormSubmission)
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  // Key of the FormDefinition this submission came from
+  formType: {
+    type: String,
+    match: FORM_KEY_PATTERN,
+    required: true,
+  },
+  // Values of the form definition's extra fields, keyed by field name
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  // Language for emails sent to the contact
+  locale: {
+    type: String,
+    enum: LOCALES,
+    default: DEFAULT_LOCALE,
+  },
+  // Where the lead came from (UTM parameters, ad click ids, referrer, landing path)
+  attribution: {
+    utmSource: String,
+    utmMedium: String,
+    utmCampaign: String,
+    utmTerm: String,
+    utmContent: String,
+    gclid: String,
+    fbclid: String,
+    referrer: String,
+    landingPath: String,
+  },
+  // Only stored when CLIENT_INFO_TRACKING allows it
+  ipAddress: String,
+  userAgent: String,
+  consent: consentSchema,
+  // Files from the first submission and any resubmissions
+  attachments: [attachmentSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Request that created the contact (X-Request-Id)
+  requestId: String,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: "new",
+  },
+  lostReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Why the submission was flagged (status "spam")
+  spamReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  notes: [noteSchema],
+  activity: [activitySchema],
+  resubmissions: [resubmissionSchema],
+  // Set when the personal data was removed (erasure request or retention policy); see services/privacy
+  anonymizedAt: Date,
+  // Set when the lead used the unsubscribe link in a follow-up email; no more follow-ups are sent
+  unsubscribedAt: Date,
+})
+
+// Stamp new contacts and new activity entries with the current request id
+contactSchema.pre("save", function () {
+  const requestId = logger.getRequestId()
+  if (!requestId) return
+
+  if (this.isNew && !this.requestId) this.requestId = requestId
+  for (const entry of this.activity) {
+    if (entry.isNew && !entry.requestId) entry.requestId = requestId
+  }
+})
+
+// Indexes used by the admin contact list. Mongoose builds them on startup; migrations/ creates
+// them explicitly for deployments that turn autoIndex off.
+contactSchema.index({ email: 1 })
+contactSchema.index({ phone: 1 })
+contactSchema.index({ submittedAt: -1 })
+contactSchema.index({ status: 1 })
+contactSchema.index({ assignedTo: 1 })
+contactSchema.index({ "attribution.utmCampaign": 1, submittedAt: -1 })
+contactSchema.index(
+  { name: "text", email: "text", phone: "text", message: "text" },
+  { name: "contact_text_search", weights: { name: 5, email: 5, phone: 5, message: 1 } },
+)
+
+module.exports = mongoose.models.Contact || mongoose.model("Contact", contactSchema)
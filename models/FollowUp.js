@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+const FOLLOW_UP_STATUSES = ["pending", "sending", "sent", "cancelled"]
+
+// One scheduled email of a form's follow-up sequence for one contact (see services/followUps).
+// Kept after sending or cancelling, so the contact's sequence can be reviewed.
+const followUpSchema = new mongoose.Schema(
+  {
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true,
+    },
+    formType: String,
+    // Position in the form's sequence and the email template it sends
+    step: {
+      type: Number,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: FOLLOW_UP_STATUSES,
+      default: "pending",
+    },
+    // Why it wasn't sent, e.g. "status: contacted" or "unsubscribed"
+    cancelReason: String,
+    // Set while a scheduler pass is handling it, so two workers never send the same step
+    lockedAt: Date,
+    // The outbox email it was sent as
+    outboxEmail: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OutboxEmail",
+    },
+    sentAt: Date,
+  },
+  { timestamps: true },
+)
+
+// The scheduler looks for due pending steps; a contact gets each step once
+followUpSchema.index({ status: 1, dueAt: 1 })
+followUpSchema.index({ contact: 1, step: 1 }, { unique: true })
+
+module.exports = mongoose.models.FollowUp || mongoose.model("FollowUp", followUpSchema)
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose")
+const { templateExists } = require("../utils/emailTemplates")
+
+const FIELD_TYPES = ["text", "textarea", "email", "phone", "url", "number", "select", "checkbox"]
+
+// A field shown on a landing-page form in addition to name, email, phone and message
+const fieldSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      match: /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      required: true,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    placeholder: {
+      type: String,
+      maxlength: 200,
+    },
+    // text/textarea
+    minLength: Number,
+    maxLength: Number,
+    pattern: String,
+    // number
+    min: Number,
+    max: Number,
+    // select
+    options: [
+      {
+        _id: false,
+        value: { type: String, required: true },
+        label: { type: String, required: true },
+      },
+    ],
+    multiple: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false },
+)
+
+// One email of the form's follow-up sequence, sent afterDays after the submission while the lead is still "new"
+const followUpStepSchema = new mongoose.Schema(
+  {
+    afterDays: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 90,
+    },
+    // Email template (templates/emails/<template>), e.g. "follow-up-case-study"
+    template: {
+      type: String,
+      required: true,
+      match: /^follow-up-[a-z0-9-]+$/,
+      validate: {
+        validator: templateExists,
+        message: "Unknown email template: {VALUE}",
+      },
+    },
+  },
+  { _id: false },
+)
+
+// Definition of one landing-page form; contacts reference it through formType = key
+const formDefinitionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9-]{1,50}$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    requireMessage: {
+      type: Boolean,
+      default: true,
+    },
+    fields: [fieldSchema],
+    // Submissions allowed per IP for this form, on top of the contact route's own limit
+    rateLimit: {
+      max: { type: Number, min: 1 },
+      windowMinutes: { type: Number, min: 1 },
+    },
+    // Emails sent to new leads after the auto-reply (see services/followUps)
+    followUps: [followUpStepSchema],
+    // Overrides DUPLICATE_WINDOW_MINUTES for this form; 0 turns duplicate detection off
+    duplicateWindowMinutes: {
+      type: Number,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+)
+
+formDefinitionSchema.path("fields").validate(function (fields) {
+  const names = fields.map((field) => field.name)
+  return new Set(names).size === names.length
+}, "Field names must be unique")
+
+formDefinitionSchema.path("fields").validate(function (fields) {
+  return fields.every((field) => field.type !== "select" || field.options.length > 0)
+}, "Select fields need at least one option")
+
+module.exports = mongoose.models.FormDefinition || mongoose.model("FormDefinition", formDefinitionSchema)
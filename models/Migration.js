@@ -0,0 +1,24 @@
+const mongoose = require("mongoose")
+
+// One applied migration from migrations/; removed again when the migration is rolled back
+const migrationSchema = new mongoose.Schema(
+  {
+    version: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    durationMs: Number,
+  },
+  { versionKey: false },
+)
+
+module.exports = mongoose.models.Migration || mongoose.model("Migration", migrationSchema)
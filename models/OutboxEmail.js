@@ -0,0 +1,67 @@
+const mongoose = require("mongoose")
+
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "dead"]
+
+// One delivery attempt
+const attemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    success: Boolean,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false },
+)
+
+// Outbound email waiting to be (or already) delivered by the email queue worker
+const outboxEmailSchema = new mongoose.Schema({
+  // EmailService method family, e.g. "contact_notification" or "auto_reply"
+  kind: {
+    type: String,
+    required: true,
+  },
+  to: String,
+  // Data handed to the EmailService method
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: "pending",
+  },
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  lastError: String,
+  attempts: [attemptSchema],
+  sentAt: Date,
+  // Request that queued the email (X-Request-Id)
+  requestId: String,
+  // Set by callers that may queue the same email twice, e.g. "follow_up:<follow-up id>"
+  key: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Used by the worker to find due jobs
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 })
+outboxEmailSchema.index({ key: 1 }, { unique: true, sparse: true })
+
+module.exports = mongoose.models.OutboxEmail || mongoose.model("OutboxEmail", outboxEmailSchema)
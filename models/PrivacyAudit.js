@@ -0,0 +1,53 @@
+const mongoose = require("mongoose")
+
+const PRIVACY_ACTIONS = ["search", "export", "anonymize", "delete", "retention"]
+
+// One data-subject action (finding, exporting or erasing someone's data) or retention run.
+// Identifiers are stored as SHA-256 hashes so the log doesn't keep the personal data it is about,
+// but a later request for the same email or phone can still be matched to it.
+const privacyAuditSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: PRIVACY_ACTIONS,
+      required: true,
+    },
+    // Admin who acted; empty for scheduled retention runs
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    actorEmail: String,
+    subject: {
+      emailHash: String,
+      phoneHash: String,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    contactIds: [mongoose.Schema.Types.ObjectId],
+    counts: {
+      contacts: Number,
+      attachments: Number,
+      outboxEmails: Number,
+      webhookDeliveries: Number,
+      followUps: Number,
+      bookings: Number,
+    },
+    // Request that performed the action (X-Request-Id)
+    requestId: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false },
+)
+
+privacyAuditSchema.index({ at: -1 })
+privacyAuditSchema.index({ "subject.emailHash": 1 })
+privacyAuditSchema.index({ "subject.phoneHash": 1 })
+
+module.exports = mongoose.models.PrivacyAudit || mongoose.model("PrivacyAudit", privacyAuditSchema)
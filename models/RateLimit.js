@@ -0,0 +1,27 @@
+const mongoose = require("mongoose")
+
+// Hit counter for one rate-limit key (limiter prefix + client IP), shared by every
+// server instance so limits survive cold starts
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false },
+)
+
+// Let MongoDB remove counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.models.RateLimit || mongoose.model("RateLimit", rateLimitSchema)
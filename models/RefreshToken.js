@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const refreshTokenSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Let MongoDB remove expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema)
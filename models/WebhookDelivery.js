@@ -0,0 +1,71 @@
+const mongoose = require("mongoose")
+
+// One HTTP call to a subscriber
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false },
+)
+
+// A single event queued for a single subscription
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookSubscription",
+    required: true,
+    index: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Exact JSON body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Set when this delivery was created by replaying an earlier one
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookDelivery",
+  },
+  status: {
+    type: String,
+    enum: ["pending", "sending", "succeeded", "failed"],
+    default: "pending",
+  },
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  responseCode: Number,
+  lastError: String,
+  attempts: [deliveryAttemptSchema],
+  deliveredAt: Date,
+  // Request that emitted the event (X-Request-Id)
+  requestId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+
+module.exports = mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", webhookDeliverySchema)
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose")
+
+const WEBHOOK_EVENTS = ["contact.created", "contact.status_changed"]
+
+// An admin-managed endpoint that receives signed event payloads
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [(events) => events.length > 0, "At least one event is required"],
+  },
+  // Used to HMAC-sign payloads; only shown once, when the subscription is created
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 })
+
+module.exports = mongoose.models.WebhookSubscription || mongoose.model("WebhookSubscription", webhookSubscriptionSchema)
@@ -0,0 +1,192 @@
+const express = require("express")
+const { body } = require("express-validator")
+const Admin = require("../models/Admin")
+const tokenService = require("../utils/tokenService")
+const { routeLimiter } = require("../utils/rateLimits")
+const { authenticateAdmin } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const { auditActor } = require("../middleware/audit")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// Slow down password guessing
+const loginLimiter = routeLimiter("login")
+
+const validateLogin = [
+  body("email").trim().isEmail().normalizeEmail().withMessage("Please provide a valid email address"),
+  body("password").isString().notEmpty().withMessage("Password is required"),
+]
+
+const validateAcceptInvite = [
+  body("token").isString().notEmpty().withMessage("Invite token is required"),
+  body("password").isString().isLength({ min: 12 }).withMessage("Password must be at least 12 characters long"),
+  body("name").optional().trim().isLength({ max: 100 }).withMessage("Name is too long"),
+]
+
+const validateRefreshToken = [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")]
+
+// Log in with email and password
+router.post("/login", loginLimiter, validateLogin, handleValidation, async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    const admin = await Admin.findOne({ email })
+    const valid = admin ? await admin.verifyPassword(password) : await Admin.verifyMissingPassword(password)
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      })
+    }
+
+    if (!admin.active) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been deactivated",
+      })
+    }
+
+    admin.lastLoginAt = new Date()
+    await admin.save()
+
+    const tokens = await tokenService.issueTokens(admin)
+    auditActor(req, admin)
+
+    res.json({
+      success: true,
+      data: {
+        admin,
+        ...tokens,
+      },
+    })
+  } catch (error) {
+    logger.error("Admin login error", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error logging in",
+    })
+  }
+})
+
+// Set a password for an invited admin and log them in
+router.post("/accept-invite", loginLimiter, validateAcceptInvite, handleValidation, async (req, res) => {
+  try {
+    const { token, password, name } = req.body
+
+    const admin = await Admin.findOne({
+      inviteTokenHash: tokenService.hashToken(token),
+      inviteExpiresAt: { $gt: new Date() },
+      active: true,
+    })
+
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: "Invite link is invalid or has expired",
+      })
+    }
+
+    await admin.setPassword(password)
+    if (name) admin.name = name
+    admin.inviteTokenHash = undefined
+    admin.inviteExpiresAt = undefined
+    admin.lastLoginAt = new Date()
+    await admin.save()
+
+    const tokens = await tokenService.issueTokens(admin)
+    auditActor(req, admin)
+
+    res.json({
+      success: true,
+      data: {
+        admin,
+        ...tokens,
+      },
+    })
+  } catch (error) {
+    logger.error("Accept invite error", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error accepting invite",
+    })
+  }
+})
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+router.post("/refresh", validateRefreshToken, handleValidation, async (req, res) => {
+  try {
+    // Revoked as it is read, so a token replayed concurrently is only exchanged once
+    const stored = await tokenService.claimRefreshToken(req.body.refreshToken)
+    const admin = stored && (await Admin.findById(stored.admin))
+
+    if (!admin || !admin.active) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      })
+    }
+
+    const tokens = await tokenService.issueTokens(admin)
+    auditActor(req, admin)
+
+    res.json({
+      success: true,
+      data: tokens,
+    })
+  } catch (error) {
+    logger.error("Token refresh error", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error refreshing token",
+    })
+  }
+})
+
+// Revoke a single refresh token (this device)
+router.post("/logout", validateRefreshToken, handleValidation, async (req, res) => {
+  try {
+    await tokenService.revokeRefreshToken(req.body.refreshToken)
+
+    res.json({
+      success: true,
+      message: "Logged out",
+    })
+  } catch (error) {
+    logger.error("Admin logout error", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error logging out",
+    })
+  }
+})
+
+// Revoke every refresh token and invalidate all outstanding access tokens
+router.post("/logout-all", authenticateAdmin, async (req, res) => {
+  try {
+    req.admin.tokenVersion += 1
+    await req.admin.save()
+    await tokenService.revokeAllRefreshTokens(req.admin._id)
+
+    res.json({
+      success: true,
+      message: "Logged out from all sessions",
+    })
+  } catch (error) {
+    logger.error("Admin logout-all error", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error logging out",
+    })
+  }
+})
+
+// Current admin profile
+router.get("/me", authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: req.admin,
+  })
+})
+
+module.exports = router
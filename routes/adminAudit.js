@@ -0,0 +1,62 @@
+const express = require("express")
+const { query } = require("express-validator")
+const AuditEntry = require("../models/AuditEntry")
+const { parseLimit, escapeRegex, dateRangeFilter } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// The admin audit log is read-only: entries are written by middleware/audit and never edited or deleted
+router.use(authenticateAdmin, requirePermission("audit:read"))
+
+const validateList = [
+  query("actor").optional().isMongoId().withMessage("Actor must be an admin id"),
+  query("action").optional().isString().trim().isLength({ max: 200 }),
+  query("targetType").optional().isString().trim().isLength({ max: 50 }),
+  query("targetId").optional().isString().trim().isLength({ max: 100 }),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+]
+
+// List audit entries, newest first. action matches part of "METHOD /route", e.g. "DELETE" or "/status".
+router.get("/", validateList, handleValidation, async (req, res) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+    const limit = parseLimit(req.query.limit)
+    const filter = {}
+    if (req.query.actor) filter.actor = req.query.actor
+    if (req.query.action) filter.action = { $regex: escapeRegex(req.query.action) }
+    if (req.query.targetType) filter.targetType = req.query.targetType
+    if (req.query.targetId) filter.targetId = req.query.targetId
+    if (req.query.from || req.query.to) filter.at = dateRangeFilter(req.query.from, req.query.to)
+
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(filter)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEntry.countDocuments(filter),
+    ])
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    logger.error("Error fetching audit log", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error fetching audit log",
+    })
+  }
+})
+
+module.exports = router
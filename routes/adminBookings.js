@@ -0,0 +1,200 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param, query } = require("express-validator")
+const Availability = require("../models/Availability")
+const Booking = require("../models/Booking")
+const defaultEmailQueue = require("../utils/emailQueue")
+const bookings = require("../services/bookings")
+const { isValidTimezone } = require("../utils/timezone")
+const { parseLimit } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const { auditChange } = require("../middleware/audit")
+const logger = require("../utils/logger")
+
+const STATUSES = Booking.schema.path("status").enumValues
+
+const validateId = [param("id").isMongoId().withMessage("Invalid booking id")]
+
+// Entries of weeklyHours and blackouts are checked by the Availability model
+const validateAvailability = [
+  body("timezone")
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage("timezone must be an IANA timezone, e.g. Asia/Kolkata"),
+  body("slotMinutes").optional().isInt({ min: 15, max: 240 }).withMessage("slotMinutes must be between 15 and 240"),
+  body("minNoticeHours").optional().isInt({ min: 0, max: 720 }).withMessage("minNoticeHours must be between 0 and 720"),
+  body("maxDaysAhead").optional().isInt({ min: 1, max: 365 }).withMessage("maxDaysAhead must be between 1 and 365"),
+  body("weeklyHours").optional().isArray({ max: 50 }).withMessage("weeklyHours must be an array of at most 50 entries"),
+  body("blackouts").optional().isArray({ max: 200 }).withMessage("blackouts must be an array of at most 200 entries"),
+]
+
+const validateList = [
+  query("status").optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  query(["from", "to"]).optional().isISO8601().withMessage("from and to must be ISO 8601 dates").toDate(),
+  query("contact").optional().isMongoId().withMessage("Invalid contact id"),
+]
+
+const validateCancel = [
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason can be at most 500 characters"),
+]
+
+// Only the settings an admin manages
+function pickAvailability(input) {
+  const fields = ["timezone", "slotMinutes", "minNoticeHours", "maxDaysAhead", "weeklyHours", "blackouts"]
+  return Object.fromEntries(fields.filter((field) => input[field] !== undefined).map((field) => [field, input[field]]))
+}
+
+const auditedAvailability = (availability) => {
+  const { _id, key, updatedBy, createdAt, updatedAt, ...settings } = availability.toObject()
+  return settings
+}
+
+// Consultation availability and booked calls, mounted at /api/admin/bookings.
+// Cancellation emails go through the given email queue.
+function createAdminBookingRoutes({ emailQueue = defaultEmailQueue } = {}) {
+  const router = express.Router()
+
+  router.use(authenticateAdmin)
+
+  // Current availability (the defaults until it's first saved)
+  router.get("/availability", requirePermission("bookings:manage"), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await bookings.getAvailability(),
+      })
+    } catch (error) {
+      logger.error("Error fetching availability", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error fetching availability",
+      })
+    }
+  })
+
+  // Update weekly hours, blackout dates, timezone and booking rules. Fields left out keep their value;
+  // existing bookings are kept even if their slot is no longer offered.
+  router.put(
+    "/availability",
+    requirePermission("bookings:manage"),
+    validateAvailability,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const availability = (await Availability.findOne({ key: "default" })) || new Availability()
+        const before = availability.isNew ? null : auditedAvailability(availability)
+
+        availability.set({ ...pickAvailability(req.body), updatedBy: req.admin._id })
+        await availability.save()
+        auditChange(req, before, auditedAvailability(availability))
+
+        res.json({
+          success: true,
+          data: availability,
+        })
+      } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+          return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors: Object.values(error.errors).map((fieldError) => ({
+              type: "field",
+              location: "body",
+              path: fieldError.path,
+              msg: fieldError.message,
+            })),
+          })
+        }
+        logger.error("Error updating availability", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error updating availability",
+        })
+      }
+    },
+  )
+
+  // Booked calls, soonest first. Filters: status, from/to (start time), contact.
+  router.get("/", requirePermission("contacts:read"), validateList, handleValidation, async (req, res) => {
+    try {
+      const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+      const limit = parseLimit(req.query.limit)
+      const filter = {}
+      if (req.query.status) filter.status = req.query.status
+      if (req.query.contact) filter.contact = req.query.contact
+      if (req.query.from || req.query.to) {
+        filter.startsAt = {}
+        if (req.query.from) filter.startsAt.$gte = req.query.from
+        if (req.query.to) filter.startsAt.$lte = req.query.to
+      }
+
+      const [items, total] = await Promise.all([
+        Booking.find(filter)
+          .sort({ startsAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("contact", "name email phone formType status")
+          .select("-__v"),
+        Booking.countDocuments(filter),
+      ])
+
+      res.json({
+        success: true,
+        data: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching bookings", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error fetching bookings",
+      })
+    }
+  })
+
+  // Cancel a call on the lead's behalf; they get a cancellation email with a calendar update
+  router.post(
+    "/:id/cancel",
+    requirePermission("contacts:update"),
+    validateId,
+    validateCancel,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const booking = await Booking.findById(req.params.id)
+
+        if (!booking) {
+          return res.status(404).json({
+            success: false,
+            message: "Booking not found",
+          })
+        }
+
+        const previousStatus = booking.status
+        await bookings.cancelBooking(booking, { reason: req.body.reason, actor: req.admin._id, emailQueue })
+        auditChange(req, { status: previousStatus }, { status: booking.status, reason: req.body.reason })
+
+        res.json({
+          success: true,
+          data: booking,
+        })
+      } catch (error) {
+        logger.error("Error cancelling booking", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error cancelling booking",
+        })
+      }
+    },
+  )
+
+  return router
+}
+
+module.exports = createAdminBookingRoutes
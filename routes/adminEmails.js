@@ -0,0 +1,208 @@
+const express = require("express")
+const { param, query } = require("express-validator")
+const OutboxEmail = require("../models/OutboxEmail")
+const defaultEmailQueue = require("../utils/emailQueue")
+const defaultEmailService = require("../utils/emailService")
+const emailTemplates = require("../utils/emailTemplates")
+const { FORM_KEY_PATTERN, parseLimit } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const STATUSES = OutboxEmail.schema.path("status").enumValues
+
+const validateList = [
+  query("status").optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  query("kind").optional().isString(),
+]
+
+const validateId = [param("id").isMongoId().withMessage("Invalid email id")]
+
+const sampleContact = {
+  name: "Priya Sharma",
+  email: "priya@example.com",
+  phone: "+919876543210",
+  message: "Hi, I'd like to move my store from WooCommerce to Shopify. Can we talk this week?",
+  formType: "hero",
+  formName: "Hero form",
+  attribution: { utmSource: "google", utmMedium: "cpc", utmCampaign: "shopify-migration" },
+  customFields: [
+    { label: "Store URL", value: "https://priya-store.example.com" },
+    { label: "Budget", value: "₹1-3 lakh" },
+  ],
+  attachments: [{ id: "sample-attachment", filename: "store-brief.pdf", size: 482133 }],
+  contactId: "sample-contact",
+  submittedAt: new Date(),
+}
+
+const previewFollowUp = (template) => (emailService, options) =>
+  emailService.buildFollowUp({
+    ...sampleContact,
+    template,
+    unsubscribeUrl: `${config.apiUrl}/api/unsubscribe?token=sample`,
+    ...options,
+  })
+
+const sampleBooking = {
+  bookingId: "sample-booking",
+  contactId: "sample-contact",
+  name: sampleContact.name,
+  email: sampleContact.email,
+  startsAt: new Date("2026-01-15T05:30:00.000Z"),
+  endsAt: new Date("2026-01-15T06:00:00.000Z"),
+  timezone: "Asia/Kolkata",
+  sequence: 0,
+  rescheduleUrl: `${config.frontendUrl}/booking/reschedule?token=sample`,
+  cancelUrl: `${config.frontendUrl}/booking/cancel?token=sample`,
+}
+
+// Template name -> how to render it with sample data
+const PREVIEWS = {
+  "contact-notification": (emailService, options) =>
+    emailService.buildContactNotification({ ...sampleContact, ...options }),
+  "auto-reply": (emailService, options) => emailService.buildAutoReply({ ...sampleContact, ...options }),
+  "admin-invite": (emailService, options) =>
+    emailService.buildAdminInvite({
+      email: "new.admin@example.com",
+      name: "Rahul",
+      role: "manager",
+      inviteUrl: `${config.frontendUrl}/admin/accept-invite?token=sample`,
+      invitedBy: "owner@example.com",
+      ...options,
+    }),
+  "follow-up-case-study": previewFollowUp("follow-up-case-study"),
+  "follow-up-booking-reminder": previewFollowUp("follow-up-booking-reminder"),
+  "booking-confirmation": (emailService, options) =>
+    emailService.buildBookingConfirmation({ ...sampleBooking, ...options }),
+  "booking-cancellation": (emailService, options) =>
+    emailService.buildBookingCancellation({ ...sampleBooking, ...options }),
+}
+
+const validatePreview = [
+  param("name")
+    .isIn(Object.keys(PREVIEWS))
+    .withMessage(`Template must be one of: ${Object.keys(PREVIEWS).join(", ")}`),
+  query("locale")
+    .optional()
+    .isIn(emailTemplates.LOCALES)
+    .withMessage(`Locale must be one of: ${emailTemplates.LOCALES.join(", ")}`),
+  query("formType").optional().matches(FORM_KEY_PATTERN).withMessage("Invalid form type"),
+  query("format").optional().isIn(["json", "html", "text"]).withMessage("Format must be json, html or text"),
+]
+
+// Outbox and template previews. Emails are resent through the given queue and rendered by the given service.
+function createAdminEmailRoutes({ emailQueue = defaultEmailQueue, emailService = defaultEmailService } = {}) {
+  const router = express.Router()
+
+  router.use(authenticateAdmin, requirePermission("emails:manage"))
+
+  // List available email templates
+  router.get("/templates", (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        templates: emailTemplates.listTemplates(),
+        locales: emailTemplates.LOCALES,
+      },
+    })
+  })
+
+  // Render a template with sample data. format=html or format=text returns the raw body
+  // so it can be opened directly in a browser.
+  router.get("/templates/:name/preview", validatePreview, handleValidation, (req, res) => {
+    try {
+      const options = {}
+      if (req.query.locale) options.locale = req.query.locale
+      if (req.query.formType) options.formType = req.query.formType
+
+      const message = PREVIEWS[req.params.name](emailService, options)
+
+      if (req.query.format === "html") {
+        return res.type("html").send(message.html)
+      }
+      if (req.query.format === "text") {
+        return res.type("text").send(message.text || "")
+      }
+
+      res.json({
+        success: true,
+        data: message,
+      })
+    } catch (error) {
+      logger.error("Error rendering email template", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error rendering email template",
+      })
+    }
+  })
+
+  // List outbox emails, newest first. Defaults to failed (dead-lettered) emails.
+  router.get("/", validateList, handleValidation, async (req, res) => {
+    try {
+      const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+      const limit = parseLimit(req.query.limit)
+      const filter = { status: req.query.status || "dead" }
+      if (req.query.kind) filter.kind = req.query.kind
+
+      const [emails, total] = await Promise.all([
+        OutboxEmail.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select("-__v -payload"),
+        OutboxEmail.countDocuments(filter),
+      ])
+
+      res.json({
+        success: true,
+        data: emails,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching outbox emails", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error fetching emails",
+      })
+    }
+  })
+
+  // Re-queue a dead-lettered email and try to send it right away
+  router.post("/:id/resend", validateId, handleValidation, async (req, res) => {
+    try {
+      const email = await emailQueue.resend(req.params.id)
+
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: "No failed email with this id",
+        })
+      }
+
+      await emailQueue.deliver([email])
+      const updated = await OutboxEmail.findById(email._id).select("-__v -payload")
+
+      res.json({
+        success: true,
+        data: updated,
+      })
+    } catch (error) {
+      logger.error("Error resending email", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error resending email",
+      })
+    }
+  })
+
+  return router
+}
+
+module.exports = createAdminEmailRoutes
@@ -0,0 +1,212 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param } = require("express-validator")
+const Contact = require("../models/Contact")
+const FormDefinition = require("../models/FormDefinition")
+const formDefinitions = require("../utils/formDefinitions")
+const { FORM_KEY_PATTERN } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const { auditChange } = require("../middleware/audit")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+router.use(authenticateAdmin, requirePermission("forms:manage"))
+
+const validateKey = [param("key").matches(FORM_KEY_PATTERN).withMessage("Invalid form key")]
+
+const validateDefinition = [
+  body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+  body("description").optional().trim().isLength({ max: 500 }).withMessage("Description is too long"),
+  body("requireMessage").optional().isBoolean().withMessage("requireMessage must be true or false"),
+  body("active").optional().isBoolean().withMessage("active must be true or false"),
+  body("fields").optional().isArray({ max: 30 }).withMessage("fields must be an array of at most 30 fields"),
+  body("rateLimit").optional({ values: "null" }).isObject().withMessage("rateLimit must be an object or null"),
+  body(["rateLimit.max", "rateLimit.windowMinutes"])
+    .if(body("rateLimit").isObject())
+    .isInt({ min: 1 })
+    .withMessage("rateLimit needs a positive max and windowMinutes"),
+  body("duplicateWindowMinutes")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("duplicateWindowMinutes must be 0 or more"),
+  body("followUps").optional().isArray({ max: 10 }).withMessage("followUps must be an array of at most 10 steps"),
+  body("followUps.*.afterDays").isInt({ min: 1, max: 90 }).withMessage("afterDays must be between 1 and 90"),
+  body("fields.*.pattern")
+    .optional()
+    .custom((pattern) => {
+      const problem = formDefinitions.patternProblem(pattern)
+      if (problem) throw new Error(problem)
+      return true
+    }),
+]
+
+function pickDefinition(input) {
+  return {
+    name: input.name,
+    description: input.description,
+    requireMessage: input.requireMessage,
+    active: input.active,
+    fields: input.fields || [],
+    followUps: (input.followUps || []).map((step) => ({ afterDays: step.afterDays, template: step.template })),
+    rateLimit: input.rateLimit ? { max: input.rateLimit.max, windowMinutes: input.rateLimit.windowMinutes } : undefined,
+    duplicateWindowMinutes: input.duplicateWindowMinutes ?? undefined,
+  }
+}
+
+// Mongoose validation errors become 400s in the same shape as express-validator errors
+function sendSaveError(res, error, action) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((fieldError) => ({
+        type: "field",
+        location: "body",
+        path: fieldError.path,
+        msg: fieldError.message,
+      })),
+    })
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A form with this key already exists",
+    })
+  }
+
+  logger.error(`Error ${action} form definition`, { error })
+  res.status(500).json({
+    success: false,
+    message: `Error ${action} form definition`,
+  })
+}
+
+// List all definitions, including inactive ones
+router.get("/", async (req, res) => {
+  try {
+    const definitions = await FormDefinition.find().sort({ key: 1 }).select("-__v")
+
+    res.json({
+      success: true,
+      data: definitions,
+    })
+  } catch (error) {
+    logger.error("Error fetching form definitions", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error fetching form definitions",
+    })
+  }
+})
+
+router.get("/:key", validateKey, handleValidation, async (req, res) => {
+  try {
+    const definition = await FormDefinition.findOne({ key: req.params.key }).select("-__v")
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: "Form not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: definition,
+    })
+  } catch (error) {
+    logger.error("Error fetching form definition", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error fetching form definition",
+    })
+  }
+})
+
+// Create a definition
+router.post(
+  "/",
+  body("key").trim().toLowerCase().matches(FORM_KEY_PATTERN).withMessage("Key may only contain a-z, 0-9 and dashes"),
+  validateDefinition,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const definition = await FormDefinition.create({ key: req.body.key, ...pickDefinition(req.body) })
+      formDefinitions.invalidateCache()
+      auditChange(req, null, definition.toObject({ versionKey: false }))
+
+      res.status(201).json({
+        success: true,
+        data: definition,
+      })
+    } catch (error) {
+      sendSaveError(res, error, "creating")
+    }
+  },
+)
+
+// Replace a definition (the key cannot change, since contacts reference it)
+router.put("/:key", validateKey, validateDefinition, handleValidation, async (req, res) => {
+  try {
+    const definition = await FormDefinition.findOne({ key: req.params.key })
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: "Form not found",
+      })
+    }
+
+    const before = definition.toObject({ versionKey: false })
+    definition.set(pickDefinition(req.body))
+    await definition.save()
+    formDefinitions.invalidateCache()
+    auditChange(req, before, definition.toObject({ versionKey: false }))
+
+    res.json({
+      success: true,
+      data: definition,
+    })
+  } catch (error) {
+    sendSaveError(res, error, "updating")
+  }
+})
+
+// Delete a definition. Forms that already have submissions can only be deactivated.
+router.delete("/:key", validateKey, handleValidation, async (req, res) => {
+  try {
+    if (await Contact.exists({ formType: req.params.key })) {
+      return res.status(409).json({
+        success: false,
+        message: "This form has submissions. Set active to false instead of deleting it.",
+      })
+    }
+
+    const definition = await FormDefinition.findOneAndDelete({ key: req.params.key })
+    formDefinitions.invalidateCache()
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: "Form not found",
+      })
+    }
+
+    auditChange(req, definition.toObject({ versionKey: false }), null)
+
+    res.json({
+      success: true,
+      message: "Form deleted",
+    })
+  } catch (error) {
+    logger.error("Error deleting form definition", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error deleting form definition",
+    })
+  }
+})
+
+module.exports = router
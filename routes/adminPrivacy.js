@@ -0,0 +1,198 @@
+const express = require("express")
+const { body, query, oneOf } = require("express-validator")
+const PrivacyAudit = require("../models/PrivacyAudit")
+const privacy = require("../services/privacy")
+const { parsePhone } = require("../utils/phone")
+const { parseLimit } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// Data-subject requests (GDPR, DPDP): owner only
+router.use(authenticateAdmin, requirePermission("privacy:manage"))
+
+const ACTIONS = PrivacyAudit.schema.path("action").enumValues
+
+// The person is identified by email and/or phone, normalized the same way as form submissions
+const subjectFields = (location) => [
+  location("email")
+    .optional({ values: "falsy" })
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+  location("phone")
+    .optional({ values: "falsy" })
+    .custom((value) => Boolean(parsePhone(value)))
+    .withMessage("Please provide a valid phone number, including the country code for numbers from abroad")
+    .customSanitizer((value) => parsePhone(value)?.e164 ?? value),
+  oneOf([location("email").notEmpty(), location("phone").notEmpty()], {
+    message: "Provide an email address or a phone number",
+  }),
+]
+
+const validateErasure = [
+  ...subjectFields(body),
+  body("reason")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Reason must be between 1 and 500 characters, e.g. the request reference"),
+]
+
+const validateAuditList = [
+  query("action").optional().isIn(ACTIONS).withMessage(`Action must be one of: ${ACTIONS.join(", ")}`),
+  query("email").optional().trim().isEmail().normalizeEmail().withMessage("Please provide a valid email address"),
+  query("phone")
+    .optional()
+    .custom((value) => Boolean(parsePhone(value)))
+    .withMessage("Please provide a valid phone number")
+    .customSanitizer((value) => parsePhone(value)?.e164 ?? value),
+]
+
+const subjectFrom = (source) => ({ email: source.email || undefined, phone: source.phone || undefined })
+
+// Find every record held about a person
+router.get("/subjects", subjectFields(query), handleValidation, async (req, res) => {
+  try {
+    const subject = subjectFrom(req.query)
+    const { contacts, outboxEmails, webhookDeliveries, bookings } = await privacy.findSubjectData(subject)
+
+    await privacy.recordAudit({
+      action: "search",
+      admin: req.admin,
+      subject,
+      contactIds: contacts.map((contact) => contact._id),
+      counts: {
+        contacts: contacts.length,
+        outboxEmails: outboxEmails.length,
+        webhookDeliveries: webhookDeliveries.length,
+        bookings: bookings.length,
+      },
+    })
+
+    res.json({
+      success: true,
+      data: {
+        contacts: contacts.map((contact) => ({
+          id: contact._id,
+          name: contact.name,
+          email: contact.email,
+          phone: contact.phone,
+          formType: contact.formType,
+          status: contact.status,
+          submittedAt: contact.submittedAt,
+          consent: contact.consent,
+        })),
+        outboxEmails: outboxEmails.length,
+        webhookDeliveries: webhookDeliveries.length,
+        bookings: bookings.length,
+      },
+    })
+  } catch (error) {
+    logger.error("Error finding data subject records", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error finding records",
+    })
+  }
+})
+
+// Download everything held about a person as JSON (right of access / portability)
+router.get("/subjects/export", subjectFields(query), handleValidation, async (req, res) => {
+  try {
+    const subject = subjectFrom(req.query)
+    const data = await privacy.findSubjectData(subject)
+
+    await privacy.recordAudit({
+      action: "export",
+      admin: req.admin,
+      subject,
+      contactIds: data.contacts.map((contact) => contact._id),
+      counts: {
+        contacts: data.contacts.length,
+        outboxEmails: data.outboxEmails.length,
+        webhookDeliveries: data.webhookDeliveries.length,
+        bookings: data.bookings.length,
+      },
+    })
+
+    const filename = `personal-data-${new Date().toISOString().slice(0, 10)}.json`
+    res.setHeader("Content-Type", "application/json; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+    res.send(JSON.stringify({ exportedAt: new Date().toISOString(), subject, ...data }, null, 2))
+  } catch (error) {
+    logger.error("Error exporting data subject records", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error exporting records",
+    })
+  }
+})
+
+// Erasure: "anonymize" keeps the leads for reporting without the personal data, "delete" removes them.
+// Either way, queued and sent emails and webhook deliveries about the person are deleted.
+for (const mode of ["anonymize", "delete"]) {
+  router.post(`/subjects/${mode}`, validateErasure, handleValidation, async (req, res) => {
+    try {
+      const subject = subjectFrom(req.body)
+      const { reason } = req.body
+      const { contactIds, counts } = await privacy.eraseSubject(subject, { mode, actor: req.admin._id, reason })
+
+      await privacy.recordAudit({ action: mode, admin: req.admin, subject, reason, contactIds, counts })
+      logger.info("Data subject erasure", { mode, counts, adminId: req.admin._id.toString() })
+
+      res.json({
+        success: true,
+        message: mode === "delete" ? "Records deleted" : "Records anonymized",
+        data: { contactIds, counts },
+      })
+    } catch (error) {
+      logger.error("Error erasing data subject records", { mode, error })
+      res.status(500).json({
+        success: false,
+        message: "Error erasing records",
+      })
+    }
+  })
+}
+
+// Audit trail of data-subject actions and retention runs. email/phone find the entries about a person.
+router.get("/audit", validateAuditList, handleValidation, async (req, res) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+    const limit = parseLimit(req.query.limit)
+    const filter = {}
+    if (req.query.action) filter.action = req.query.action
+    if (req.query.email) filter["subject.emailHash"] = privacy.hashIdentifier(req.query.email)
+    if (req.query.phone) filter["subject.phoneHash"] = privacy.hashIdentifier(req.query.phone)
+
+    const [entries, total] = await Promise.all([
+      PrivacyAudit.find(filter)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PrivacyAudit.countDocuments(filter),
+    ])
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    logger.error("Error fetching privacy audit trail", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error fetching audit trail",
+    })
+  }
+})
+
+module.exports = router
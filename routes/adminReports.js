@@ -0,0 +1,95 @@
+const express = require("express")
+const { query } = require("express-validator")
+const Contact = require("../models/Contact")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { dateRangeFilter } = require("../utils/contactQuery")
+const { handleValidation } = require("../middleware/validate")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+router.use(authenticateAdmin, requirePermission("reports:read"))
+
+// groupBy value -> attribution fields that make up a row
+const CAMPAIGN_GROUPINGS = {
+  campaign: ["utmSource", "utmMedium", "utmCampaign"],
+  source: ["utmSource"],
+  medium: ["utmMedium"],
+  "source-medium": ["utmSource", "utmMedium"],
+}
+
+const validateCampaignReport = [
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+  query("groupBy")
+    .optional()
+    .isIn(Object.keys(CAMPAIGN_GROUPINGS))
+    .withMessage(`groupBy must be one of: ${Object.keys(CAMPAIGN_GROUPINGS).join(", ")}`),
+]
+
+// Leads and conversion rate per campaign. Leads without UTM tags are grouped as
+// "(google ads)" / "(meta ads)" when they carry a click id, otherwise "(direct)".
+router.get("/campaigns", validateCampaignReport, handleValidation, async (req, res) => {
+  try {
+    const fields = CAMPAIGN_GROUPINGS[req.query.groupBy || "campaign"]
+
+    const match = { status: { $ne: "spam" } }
+    if (req.query.from || req.query.to) match.submittedAt = dateRangeFilter(req.query.from, req.query.to)
+
+    const fallbackSource = {
+      $cond: [
+        { $ifNull: ["$attribution.gclid", false] },
+        "(google ads)",
+        { $cond: [{ $ifNull: ["$attribution.fbclid", false] }, "(meta ads)", "(direct)"] },
+      ],
+    }
+
+    const groupId = {}
+    for (const field of fields) {
+      groupId[field] = { $ifNull: [`$attribution.${field}`, field === "utmSource" ? fallbackSource : "(none)"] }
+    }
+
+    const rows = await Contact.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupId,
+          leads: { $sum: 1 },
+          converted: { $sum: { $cond: [{ $eq: ["$status", "converted"] }, 1, 0] } },
+          lost: { $sum: { $cond: [{ $eq: ["$status", "lost"] }, 1, 0] } },
+          firstLeadAt: { $min: "$submittedAt" },
+          lastLeadAt: { $max: "$submittedAt" },
+        },
+      },
+      { $sort: { leads: -1 } },
+    ])
+
+    const data = rows.map(({ _id, ...row }) => ({
+      ..._id,
+      ...row,
+      conversionRate: row.leads > 0 ? Number((row.converted / row.leads).toFixed(4)) : 0,
+    }))
+
+    const totals = data.reduce(
+      (sum, row) => ({ leads: sum.leads + row.leads, converted: sum.converted + row.converted }),
+      { leads: 0, converted: 0 },
+    )
+
+    res.json({
+      success: true,
+      data,
+      totals: {
+        ...totals,
+        conversionRate: totals.leads > 0 ? Number((totals.converted / totals.leads).toFixed(4)) : 0,
+      },
+    })
+  } catch (error) {
+    logger.error("Error building campaign report", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error building campaign report",
+    })
+  }
+})
+
+module.exports = router
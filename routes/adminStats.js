@@ -0,0 +1,181 @@
+const express = require("express")
+const { query } = require("express-validator")
+const Contact = require("../models/Contact")
+const TtlCache = require("../utils/cache")
+const { STATUSES, dateRangeFilter } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const router = express.Router()
+
+router.use(authenticateAdmin, requirePermission("reports:read"))
+
+const CACHE_TTL_MS = config.stats.cacheTtlMs
+const TIMEZONE = config.stats.timezone
+const DEFAULT_RANGE_DAYS = 30
+
+// Spam is left out of every number
+const LEAD_STATUSES = STATUSES.filter((status) => status !== "spam")
+// Pipeline stages in order; "lost" is reported separately
+const FUNNEL_STAGES = LEAD_STATUSES.filter((status) => status !== "lost")
+
+const cache = new TtlCache(CACHE_TTL_MS)
+
+const validateStats = [
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+  query("refresh").optional().isBoolean().withMessage("refresh must be true or false"),
+]
+
+function seriesFacet(unit) {
+  const period = { $dateTrunc: { date: "$submittedAt", unit, timezone: TIMEZONE, startOfWeek: "monday" } }
+  return [
+    { $group: { _id: period, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", count: 1 } },
+  ]
+}
+
+function median(sortedValues) {
+  if (sortedValues.length === 0) return null
+  const middle = Math.floor(sortedValues.length / 2)
+  return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2
+}
+
+// Status changes, ignoring moves into and out of spam review
+const statusChanges = {
+  $filter: {
+    input: { $ifNull: ["$activity", []] },
+    cond: {
+      $and: [
+        { $eq: ["$$this.type", "status_changed"] },
+        { $ne: ["$$this.from", "spam"] },
+        { $ne: ["$$this.to", "spam"] },
+      ],
+    },
+  },
+}
+
+// 1 if the contact reached one of the given statuses, else 0
+function reachedAny(statuses) {
+  return { $cond: [{ $gt: [{ $size: { $setIntersection: ["$reachedStatuses", statuses] } }, 0] }, 1, 0] }
+}
+
+// submittedAt is the range filter; from and to are reported as asked for
+async function buildStats(from, to, submittedAt) {
+  const [result] = await Contact.aggregate([
+    { $match: { submittedAt, status: { $ne: "spam" } } },
+    {
+      $addFields: {
+        // Every status the contact has ever had, so leads that were later lost still count
+        // towards the stages they reached
+        reachedStatuses: {
+          $setUnion: [["$status"], { $map: { input: statusChanges, in: "$$this.to" } }],
+        },
+        firstStatusChangeAt: { $min: { $map: { input: statusChanges, in: "$$this.at" } } },
+      },
+    },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        byFormType: [{ $group: { _id: "$formType", count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        perDay: seriesFacet("day"),
+        perWeek: seriesFacet("week"),
+        perMonth: seriesFacet("month"),
+        funnel: [
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                FUNNEL_STAGES.map((stage, index) => [stage, { $sum: reachedAny(FUNNEL_STAGES.slice(index)) }]),
+              ),
+            },
+          },
+        ],
+        responseTimes: [
+          { $match: { firstStatusChangeAt: { $ne: null } } },
+          { $project: { _id: 0, ms: { $subtract: ["$firstStatusChangeAt", "$submittedAt"] } } },
+          { $sort: { ms: 1 } },
+        ],
+      },
+    },
+  ])
+
+  const total = result.total[0]?.count || 0
+  const funnelCounts = result.funnel[0] || {}
+  const responseTimes = result.responseTimes.map((row) => row.ms)
+  const medianMs = median(responseTimes)
+
+  return {
+    range: { from, to, timezone: TIMEZONE },
+    total,
+    byStatus: Object.fromEntries(
+      LEAD_STATUSES.map((status) => [status, result.byStatus.find((row) => row._id === status)?.count || 0]),
+    ),
+    byFormType: result.byFormType.map((row) => ({ formType: row._id, count: row.count })),
+    submissions: {
+      perDay: result.perDay,
+      perWeek: result.perWeek,
+      perMonth: result.perMonth,
+    },
+    // Leads that reached each stage (or a later one), with the rate relative to all leads
+    funnel: FUNNEL_STAGES.map((stage) => {
+      const count = stage === "new" ? total : funnelCounts[stage] || 0
+      return { stage, count, rate: total > 0 ? Number((count / total).toFixed(4)) : 0 }
+    }),
+    timeToFirstStatusChange: {
+      medianMs,
+      medianHours: medianMs === null ? null : Number((medianMs / 3600000).toFixed(2)),
+      sampleSize: responseTimes.length,
+    },
+  }
+}
+
+// Dashboard numbers for a date range (default: the last 30 days), cached briefly
+router.get("/", validateStats, handleValidation, async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000)
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "from must be before to",
+      })
+    }
+
+    // A "to" date without a time includes that whole day, as in the contacts list
+    const submittedAt = dateRangeFilter(from.toISOString(), req.query.to || to.toISOString())
+
+    // Without an explicit "to", round to the minute so repeated refreshes share a cache entry. The closing
+    // bracket tells a whole-day "to" (up to the next midnight) from one at that midnight.
+    const end = (submittedAt.$lt || submittedAt.$lte).toISOString().slice(0, 16)
+    const cacheKey = `${from.toISOString().slice(0, 16)}|${end}${submittedAt.$lt ? ")" : "]"}`
+    let stats = req.query.refresh === "true" ? undefined : cache.get(cacheKey)
+    const cached = Boolean(stats)
+
+    if (!stats) {
+      stats = await buildStats(from, to, submittedAt)
+      cache.set(cacheKey, stats)
+    }
+
+    res.json({
+      success: true,
+      data: stats,
+      cached,
+    })
+  } catch (error) {
+    logger.error("Error building stats", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error building stats",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,225 @@
+const express = require("express")
+const { body, param } = require("express-validator")
+const Admin = require("../models/Admin")
+const tokenService = require("../utils/tokenService")
+const defaultEmailQueue = require("../utils/emailQueue")
+const { ROLES } = require("../utils/permissions")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const { auditChange } = require("../middleware/audit")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const INVITE_TTL_HOURS = 72
+
+const validateId = [param("id").isMongoId().withMessage("Invalid admin id")]
+
+const validateInvite = [
+  body("email").trim().isEmail().normalizeEmail().withMessage("Please provide a valid email address"),
+  body("name").optional().trim().isLength({ max: 100 }).withMessage("Name is too long"),
+  body("role").isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+]
+
+const validateRole = [body("role").isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(", ")}`)]
+
+// Writes a role or active change unless it would leave nobody able to manage admins; returns the updated
+// admin, or null when refused. Counting owners before writing would let two owners demote each other at
+// the same time, so the change is written first and undone if no active owner is left afterwards.
+async function updateUnlessLastOwner(admin, changes) {
+  const before = { role: admin.role, active: admin.active }
+  const updated = await Admin.findOneAndUpdate({ _id: admin._id }, changes, { new: true })
+  if (!updated || before.role !== "owner" || !before.active) return updated
+  if (await Admin.exists({ role: "owner", active: true })) return updated
+
+  // Only undo our own change, not one made since
+  await Admin.updateOne({ _id: admin._id, ...changes }, before)
+  return null
+}
+
+async function findAdminOr404(req, res) {
+  const admin = await Admin.findById(req.params.id)
+  if (!admin) {
+    res.status(404).json({
+      success: false,
+      message: "Admin not found",
+    })
+  }
+  return admin
+}
+
+// Admin user management. Invite emails go through the given email queue.
+function createAdminUserRoutes({ emailQueue = defaultEmailQueue } = {}) {
+  const router = express.Router()
+
+  // Every route here is owner-only
+  router.use(authenticateAdmin, requirePermission("admins:manage"))
+
+  // List admins
+  router.get("/", async (req, res) => {
+    try {
+      const admins = await Admin.find().sort({ createdAt: 1 })
+
+      res.json({
+        success: true,
+        data: admins,
+      })
+    } catch (error) {
+      logger.error("Error fetching admins", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error fetching admins",
+      })
+    }
+  })
+
+  // Invite a new admin
+  router.post("/", validateInvite, handleValidation, async (req, res) => {
+    try {
+      const { email, name, role } = req.body
+
+      if (await Admin.exists({ email })) {
+        return res.status(409).json({
+          success: false,
+          message: "An admin with this email already exists",
+        })
+      }
+
+      const inviteToken = tokenService.generateToken()
+      const admin = await Admin.create({
+        email,
+        name,
+        role,
+        invitedBy: req.admin._id,
+        inviteTokenHash: tokenService.hashToken(inviteToken),
+        inviteExpiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+      })
+      auditChange(req, null, { id: admin._id, email, role })
+
+      const inviteUrl = `${config.frontendUrl}/admin/accept-invite?token=${inviteToken}`
+
+      const job = await emailQueue.enqueue(
+        "admin_invite",
+        { email, name, role, inviteUrl, invitedBy: req.admin.email },
+        email,
+      )
+      await emailQueue.dispatch([job])
+
+      res.status(201).json({
+        success: true,
+        message: "Invite created",
+        data: {
+          admin,
+          inviteUrl,
+          inviteExpiresAt: admin.inviteExpiresAt,
+        },
+      })
+    } catch (error) {
+      logger.error("Error inviting admin", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error inviting admin",
+      })
+    }
+  })
+
+  // Change an admin's role
+  router.patch("/:id/role", validateId, validateRole, handleValidation, async (req, res) => {
+    try {
+      const admin = await findAdminOr404(req, res)
+      if (!admin) return
+
+      if (admin.role === req.body.role) {
+        return res.json({
+          success: true,
+          data: admin,
+        })
+      }
+
+      const updated = await updateUnlessLastOwner(admin, { role: req.body.role })
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot change the role of the last active owner",
+        })
+      }
+
+      auditChange(req, { role: admin.role }, { role: updated.role })
+      // Force a fresh login so the new role is carried in the token
+      updated.tokenVersion += 1
+      await updated.save()
+      await tokenService.revokeAllRefreshTokens(updated._id)
+
+      res.json({
+        success: true,
+        data: updated,
+      })
+    } catch (error) {
+      logger.error("Error changing admin role", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error changing admin role",
+      })
+    }
+  })
+
+  // Deactivate an admin and end all their sessions
+  router.post("/:id/deactivate", validateId, handleValidation, async (req, res) => {
+    try {
+      const admin = await findAdminOr404(req, res)
+      if (!admin) return
+
+      const updated = await updateUnlessLastOwner(admin, { active: false })
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot deactivate the last active owner",
+        })
+      }
+
+      auditChange(req, { active: admin.active }, { active: false })
+      updated.tokenVersion += 1
+      updated.inviteTokenHash = undefined
+      updated.inviteExpiresAt = undefined
+      await updated.save()
+      await tokenService.revokeAllRefreshTokens(updated._id)
+
+      res.json({
+        success: true,
+        data: updated,
+      })
+    } catch (error) {
+      logger.error("Error deactivating admin", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error deactivating admin",
+      })
+    }
+  })
+
+  // Reactivate a previously deactivated admin
+  router.post("/:id/reactivate", validateId, handleValidation, async (req, res) => {
+    try {
+      const admin = await findAdminOr404(req, res)
+      if (!admin) return
+
+      auditChange(req, { active: admin.active }, { active: true })
+      admin.active = true
+      await admin.save()
+
+      res.json({
+        success: true,
+        data: admin,
+      })
+    } catch (error) {
+      logger.error("Error reactivating admin", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error reactivating admin",
+      })
+    }
+  })
+
+  return router
+}
+
+module.exports = createAdminUserRoutes
@@ -0,0 +1,262 @@
+const express = require("express")
+const { body, param, query } = require("express-validator")
+const WebhookSubscription = require("../models/WebhookSubscription")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const webhooks = require("../utils/webhooks")
+const { parseLimit } = require("../utils/contactQuery")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const { auditChange } = require("../middleware/audit")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const router = express.Router()
+
+router.use(authenticateAdmin, requirePermission("webhooks:manage"))
+
+// Audited fields of a subscription; never the secret
+const EDITABLE_FIELDS = ["url", "events", "name", "active"]
+const auditedFields = (subscription) =>
+  Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, subscription.get(field)]))
+
+const validateId = [param("id").isMongoId().withMessage("Invalid webhook id")]
+
+// Plain http is only allowed outside production (e.g. for a local request bin)
+const urlOptions = () => ({
+  protocols: config.isProduction ? ["https"] : ["http", "https"],
+  require_protocol: true,
+  require_tld: config.isProduction,
+})
+
+const validateEvents = (field) =>
+  field
+    .isArray({ min: 1 })
+    .withMessage("events must be a non-empty array")
+    .custom((events) => events.every((event) => webhooks.EVENTS.includes(event)))
+    .withMessage(`Events must be any of: ${webhooks.EVENTS.join(", ")}`)
+
+const validateCreate = [
+  body("url").isURL(urlOptions()).withMessage("Please provide a valid webhook URL"),
+  validateEvents(body("events")),
+  body("name").optional().trim().isLength({ max: 100 }).withMessage("Name is too long"),
+]
+
+const validateUpdate = [
+  body("url").optional().isURL(urlOptions()).withMessage("Please provide a valid webhook URL"),
+  validateEvents(body("events").optional()),
+  body("name").optional().trim().isLength({ max: 100 }).withMessage("Name is too long"),
+  body("active").optional().isBoolean().withMessage("active must be true or false"),
+]
+
+async function findSubscriptionOr404(req, res) {
+  const subscription = await WebhookSubscription.findById(req.params.id).select("-__v")
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    })
+  }
+  return subscription
+}
+
+// List subscriptions
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 }).select("-__v")
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      events: webhooks.EVENTS,
+    })
+  } catch (error) {
+    logger.error("Error fetching webhooks", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error fetching webhooks",
+    })
+  }
+})
+
+// Create a subscription. The signing secret is only returned here.
+router.post("/", validateCreate, handleValidation, async (req, res) => {
+  try {
+    const { url, events, name } = req.body
+    const secret = webhooks.generateSecret()
+
+    const subscription = await WebhookSubscription.create({
+      url,
+      events,
+      name,
+      secret,
+      createdBy: req.admin._id,
+    })
+    auditChange(req, null, { id: subscription._id, ...auditedFields(subscription) })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...subscription.toObject({ versionKey: false }),
+        secret,
+      },
+    })
+  } catch (error) {
+    logger.error("Error creating webhook", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error creating webhook",
+    })
+  }
+})
+
+// Update url, events, name or active flag
+router.patch("/:id", validateId, validateUpdate, handleValidation, async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req, res)
+    if (!subscription) return
+
+    const before = auditedFields(subscription)
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field]
+    }
+    await subscription.save()
+    auditChange(req, before, auditedFields(subscription))
+
+    res.json({
+      success: true,
+      data: subscription,
+    })
+  } catch (error) {
+    logger.error("Error updating webhook", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error updating webhook",
+    })
+  }
+})
+
+// Issue a new signing secret; the old one stops working immediately
+router.post("/:id/rotate-secret", validateId, handleValidation, async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req, res)
+    if (!subscription) return
+
+    const secret = webhooks.generateSecret()
+    subscription.secret = secret
+    await subscription.save()
+    // That the secret changed, not its value
+    auditChange(req, { secret: "[redacted]" }, { secret: "[redacted]" })
+
+    res.json({
+      success: true,
+      data: { id: subscription._id, secret },
+    })
+  } catch (error) {
+    logger.error("Error rotating webhook secret", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error rotating webhook secret",
+    })
+  }
+})
+
+// Delete a subscription (its delivery log is kept)
+router.delete("/:id", validateId, handleValidation, async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id)
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      })
+    }
+
+    auditChange(req, auditedFields(subscription), null)
+
+    res.json({
+      success: true,
+      message: "Webhook deleted",
+    })
+  } catch (error) {
+    logger.error("Error deleting webhook", { error })
+    res.status(500).json({
+      success: false,
+      message: "Error deleting webhook",
+    })
+  }
+})
+
+// Delivery log for a subscription, newest first
+router.get(
+  "/:id/deliveries",
+  validateId,
+  query("status").optional().isIn(["pending", "sending", "succeeded", "failed"]).withMessage("Invalid status"),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+      const limit = parseLimit(req.query.limit)
+      const filter = { subscription: req.params.id }
+      if (req.query.status) filter.status = req.query.status
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select("-__v"),
+        WebhookDelivery.countDocuments(filter),
+      ])
+
+      res.json({
+        success: true,
+        data: deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching webhook deliveries", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error fetching webhook deliveries",
+      })
+    }
+  },
+)
+
+// Send a past delivery's payload again, as a new delivery
+router.post(
+  "/deliveries/:deliveryId/replay",
+  param("deliveryId").isMongoId().withMessage("Invalid delivery id"),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const delivery = await webhooks.replay(req.params.deliveryId)
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: "Delivery not found",
+        })
+      }
+
+      res.status(201).json({
+        success: true,
+        data: delivery,
+      })
+    } catch (error) {
+      logger.error("Error replaying webhook delivery", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error replaying webhook delivery",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -0,0 +1,157 @@
+const express = require("express")
+const { body, query } = require("express-validator")
+const defaultEmailQueue = require("../utils/emailQueue")
+const bookings = require("../services/bookings")
+const { verifyLinkToken } = require("../utils/linkTokens")
+const { isValidDate } = require("../utils/timezone")
+const { routeLimiter } = require("../utils/rateLimits")
+const { handleValidation } = require("../middleware/validate")
+const logger = require("../utils/logger")
+
+const validateSlotRange = [
+  query(["from", "to"])
+    .optional()
+    .custom(isValidDate)
+    .withMessage("Dates must look like 2026-10-20"),
+  query("to")
+    .optional()
+    .custom((to, { req }) => !req.query.from || to >= req.query.from)
+    .withMessage("to must not be before from"),
+]
+
+const tokenField = body("token").isString().notEmpty().withMessage("A token is required")
+const startsAtField = body("startsAt")
+  .isISO8601({ strict: true })
+  .withMessage("startsAt must be an ISO 8601 date, e.g. 2026-10-20T04:30:00.000Z")
+  .toDate()
+
+const validateBooking = [
+  tokenField,
+  startsAtField,
+  body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes can be at most 500 characters"),
+]
+
+const validateReschedule = [tokenField, startsAtField]
+
+const validateCancel = [
+  tokenField,
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason can be at most 500 characters"),
+]
+
+function invalidLink(res) {
+  return res.status(401).json({
+    success: false,
+    message: "This booking link is invalid or has expired",
+  })
+}
+
+// BookingErrors carry the status and a message for the lead; anything else is a 500
+function sendError(res, error, message) {
+  if (error instanceof bookings.BookingError) {
+    return res.status(error.status).json({ success: false, message: error.message })
+  }
+  logger.error(message, { error })
+  res.status(500).json({ success: false, message })
+}
+
+// Public consultation booking, mounted at /api. Leads book with the bookingToken from the contact form
+// response; the confirmation email links to reschedule and cancel pages with their own tokens.
+function createBookingRoutes({ emailQueue = defaultEmailQueue } = {}) {
+  const router = express.Router()
+  // Shared by the three routes that change bookings
+  const bookingLimiter = routeLimiter("booking")
+
+  // Free slots between two dates (default: the next 7 days)
+  router.get("/slots", validateSlotRange, handleValidation, async (req, res) => {
+    try {
+      const data = await bookings.listSlots({ from: req.query.from, to: req.query.to })
+
+      res.json({
+        success: true,
+        data,
+      })
+    } catch (error) {
+      sendError(res, error, "Error fetching available slots")
+    }
+  })
+
+  // Book a slot for the contact the token belongs to
+  router.post("/bookings", bookingLimiter, validateBooking, handleValidation, async (req, res) => {
+    const contactId = verifyLinkToken("booking", req.body.token)
+    if (!contactId) return invalidLink(res)
+
+    try {
+      const booking = await bookings.createBooking({
+        contactId,
+        startsAt: req.body.startsAt,
+        notes: req.body.notes,
+        emailQueue,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Your consultation is booked. We've emailed you the details and a calendar invite.",
+        data: bookings.serializeBooking(booking),
+      })
+    } catch (error) {
+      sendError(res, error, "Error booking consultation")
+    }
+  })
+
+  // The booking a reschedule or cancel link is for, for the page that link opens
+  router.get("/bookings/manage", async (req, res) => {
+    try {
+      const booking =
+        (await bookings.findByToken("reschedule", req.query.token)) ||
+        (await bookings.findByToken("cancel", req.query.token))
+      if (!booking) return invalidLink(res)
+
+      res.json({
+        success: true,
+        data: bookings.serializeBooking(booking),
+      })
+    } catch (error) {
+      sendError(res, error, "Error fetching booking")
+    }
+  })
+
+  // Move the booking to another free slot
+  router.post("/bookings/reschedule", bookingLimiter, validateReschedule, handleValidation, async (req, res) => {
+    try {
+      const booking = await bookings.findByToken("reschedule", req.body.token)
+      if (!booking) return invalidLink(res)
+
+      await bookings.rescheduleBooking(booking, { startsAt: req.body.startsAt, emailQueue })
+
+      res.json({
+        success: true,
+        message: "Your consultation has been moved. We've emailed you an updated calendar invite.",
+        data: bookings.serializeBooking(booking),
+      })
+    } catch (error) {
+      sendError(res, error, "Error rescheduling consultation")
+    }
+  })
+
+  // Cancel the booking
+  router.post("/bookings/cancel", bookingLimiter, validateCancel, handleValidation, async (req, res) => {
+    try {
+      const booking = await bookings.findByToken("cancel", req.body.token)
+      if (!booking) return invalidLink(res)
+
+      await bookings.cancelBooking(booking, { reason: req.body.reason, emailQueue })
+
+      res.json({
+        success: true,
+        message: "Your consultation has been cancelled",
+        data: bookings.serializeBooking(booking),
+      })
+    } catch (error) {
+      sendError(res, error, "Error cancelling consultation")
+    }
+  })
+
+  return router
+}
+
+module.exports = createBookingRoutes
@@ -0,0 +1,188 @@
+const express = require("express")
+const { routeLimiter, formLimiter } = require("../utils/rateLimits")
+const { findDuplicate } = require("../utils/duplicates")
+const formDefinitions = require("../utils/formDefinitions")
+const { validateAttribution, extractAttribution, extractClientInfo } = require("../utils/attribution")
+const { parseAttachments, storeAttachments, removeAttachments } = require("../utils/attachments")
+const { createContactFormValidators, validateFormSubmission } = require("../validators/contact")
+const { bookingToken } = require("../services/bookings")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+// What is stored of the privacy policy checkbox (sanitized to a boolean by the validators)
+function buildConsent(req) {
+  if (!req.body.consent) return undefined
+  return { given: true, at: new Date(), policyVersion: config.privacy.policyVersion }
+}
+
+// Public routes used by the landing page, mounted at /api
+function createContactRoutes({ Contact, spamFilter, emailDomainCheck, notifier }) {
+  const router = express.Router()
+
+  // Contact form submission endpoint - MAIN ENDPOINT
+  // Takes JSON, or multipart/form-data when the form has files in its "attachments" field
+  router.post(
+    "/contact",
+    routeLimiter("contact"),
+    parseAttachments,
+    createContactFormValidators({ emailDomainCheck, spamFilter }),
+    validateAttribution,
+    validateFormSubmission,
+    formLimiter,
+    async (req, res) => {
+      try {
+        const { name, email, phone, message, formType, locale } = req.body
+        const captchaToken = req.body.captchaToken || req.body.recaptchaToken
+
+        logger.debug("Contact form submission received", { formType, hasCaptchaToken: Boolean(captchaToken) })
+
+        // Captcha, honeypot, timing and content checks
+        const verdict = await spamFilter.check({ body: req.body, token: captchaToken, ip: req.ip })
+        if (verdict.rejected) {
+          logger.info("Submission rejected", { formType, reasons: verdict.reasons })
+          return res.status(400).json({
+            success: false,
+            message: "Captcha verification failed. Please try again.",
+          })
+        }
+
+        // A repeat submission (see DUPLICATE_MATCH and DUPLICATE_WINDOW_MINUTES) is added to the
+        // existing contact's history. Spam is never merged, and flagged contacts are never matched,
+        // so a person caught by mistake can try again.
+        const duplicate = verdict.spam
+          ? null
+          : await findDuplicate({ name, email, phone, formType }, req.formDefinition, Contact)
+
+        if (duplicate) {
+          const stored = await storeAttachments(duplicate._id, req.files)
+          duplicate.attachments.push(...stored)
+          duplicate.resubmissions.push({
+            formType,
+            message,
+            customFields: Object.keys(req.customFields).length > 0 ? req.customFields : undefined,
+            attribution: extractAttribution(req.body),
+            ...extractClientInfo(req),
+            consent: buildConsent(req),
+          })
+          duplicate.activity.push({
+            type: "resubmitted",
+            details: `Submitted the ${req.formDefinition.name} form again`,
+          })
+
+          try {
+            await duplicate.save()
+          } catch (error) {
+            await removeAttachments(stored).catch(() => {})
+            throw error
+          }
+
+          logger.info("Repeat submission merged into existing contact", { contactId: duplicate._id, formType })
+          return res.status(200).json({
+            success: true,
+            message: "Thank you! We've added this to your earlier enquiry and will contact you within 24 hours.",
+            // No booking token: merging matches on the email or phone the caller typed, so it would hand out
+            // someone else's token
+            data: {
+              merged: true,
+              formType,
+            },
+          })
+        }
+
+        // Create new contact entry. Flagged submissions are stored for review with status "spam".
+        const spamReason = verdict.spam ? verdict.reasons.join("; ").slice(0, 500) : undefined
+        const newContact = new Contact({
+          name,
+          email,
+          phone,
+          phoneCountry: req.parsedPhone.country,
+          message,
+          formType,
+          customFields: Object.keys(req.customFields).length > 0 ? req.customFields : undefined,
+          locale,
+          status: verdict.spam ? "spam" : undefined,
+          spamReason,
+          activity: [{ type: "created", details: spamReason && `Flagged as spam: ${spamReason}` }],
+          attribution: extractAttribution(req.body),
+          ...extractClientInfo(req),
+          consent: buildConsent(req),
+        })
+        newContact.attachments = await storeAttachments(newContact._id, req.files)
+
+        try {
+          await newContact.save()
+        } catch (error) {
+          await removeAttachments(newContact.attachments).catch(() => {})
+          throw error
+        }
+
+        // Spam gets the same response as a real lead, but no emails or webhooks
+        if (verdict.spam) {
+          logger.info("Submission flagged as spam", { contactId: newContact._id, formType, reasons: verdict.reasons })
+        } else {
+          await notifier.notifyNewContact(newContact, req.formDefinition)
+        }
+
+        // Send success response
+        res.status(201).json({
+          success: true,
+          message: "Thank you for your inquiry! We will contact you within 24 hours.",
+          data: {
+            id: newContact._id,
+            submittedAt: newContact.submittedAt,
+            formType: newContact.formType,
+            attachments: newContact.attachments.length,
+            // Lets the visitor book a consultation call (POST /api/bookings) for this enquiry. Not for spam,
+            // which would otherwise hold real slots.
+            bookingToken: verdict.spam ? undefined : bookingToken(newContact._id),
+          },
+        })
+
+        // Log successful submission
+        logger.info("New contact form submission saved", { contactId: newContact._id, formType, spam: verdict.spam })
+      } catch (error) {
+        logger.error("Contact form submission error", { error })
+        res.status(500).json({
+          success: false,
+          message: "An error occurred while processing your request. Please try again later.",
+          error: config.isDevelopment ? error.message : undefined,
+        })
+      }
+    },
+  )
+
+  // Public form definition, so the frontend can render the form's extra fields
+  router.get("/forms/:key", async (req, res) => {
+    try {
+      const definition = await formDefinitions.getDefinition(req.params.key)
+
+      if (!definition) {
+        return res.status(404).json({
+          success: false,
+          message: "Form not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: {
+          key: definition.key,
+          name: definition.name,
+          description: definition.description,
+          requireMessage: definition.requireMessage,
+          fields: definition.fields,
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching form definition", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error fetching form definition",
+      })
+    }
+  })
+
+  return router
+}
+
+module.exports = createContactRoutes
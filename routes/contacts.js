@@ -0,0 +1,469 @@
+const { pipeline } = require("stream/promises")
+const express = require("express")
+const { param, query } = require("express-validator")
+const Admin = require("../models/Admin")
+const FollowUp = require("../models/FollowUp")
+const Booking = require("../models/Booking")
+const webhooks = require("../utils/webhooks")
+const followUps = require("../services/followUps")
+const formDefinitions = require("../utils/formDefinitions")
+const { authenticateAdmin, requirePermission } = require("../middleware/auth")
+const { handleValidation } = require("../middleware/validate")
+const { auditChange } = require("../middleware/audit")
+const {
+  validateContactQuery,
+  buildContactFilter,
+  buildSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+} = require("../utils/contactQuery")
+const { EXPORT_FORMATS, getExportFields, streamExport } = require("../utils/contactExport")
+const { openAttachment, removeAttachments } = require("../utils/attachments")
+const { validateContactId, validateStatusChange, validateAssignee, validateNote } = require("../validators/contact")
+const logger = require("../utils/logger")
+
+// Lead management for admins, mounted at /api/contacts
+function createAdminContactRoutes({ Contact, notifier }) {
+  const router = express.Router()
+
+  // Get all contacts (admin endpoint)
+  // Supports filtering (status, formType, from, to, q), sorting (sortBy, order) and
+  // either page-based (page) or cursor-based (cursor) pagination.
+  router.get(
+    "/",
+    authenticateAdmin,
+    requirePermission("contacts:read"),
+    validateContactQuery,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const limit = parseLimit(req.query.limit)
+        const filter = buildContactFilter(req.query)
+        const { field, direction, sort } = buildSort(req.query)
+
+        let listFilter = filter
+        let page = null
+        let skip = 0
+
+        if (req.query.cursor) {
+          const cursor = decodeCursor(req.query.cursor)
+          if (!cursor) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid cursor",
+            })
+          }
+          listFilter = { $and: [filter, buildCursorFilter(cursor, field, direction)] }
+        } else {
+          page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+          skip = (page - 1) * limit
+        }
+
+        // Fetch one extra document to know whether there is a next page
+        const [results, total] = await Promise.all([
+          Contact.find(listFilter)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit + 1)
+            .select("-__v -notes -activity -resubmissions"),
+          Contact.countDocuments(filter),
+        ])
+
+        const hasMore = results.length > limit
+        const contacts = hasMore ? results.slice(0, limit) : results
+
+        res.json({
+          success: true,
+          data: contacts,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+            nextCursor: hasMore ? encodeCursor(contacts[contacts.length - 1], field) : null,
+          },
+        })
+      } catch (error) {
+        logger.error("Error fetching contacts", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error fetching contacts",
+        })
+      }
+    },
+  )
+
+  // Export contacts as CSV, XLSX or JSON (owner only)
+  // Accepts the same filters and sorting as GET /api/contacts and streams the result.
+  router.get(
+    "/export",
+    authenticateAdmin,
+    requirePermission("contacts:export"),
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+    validateContactQuery,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const filter = buildContactFilter(req.query)
+        const { sort } = buildSort(req.query)
+        const cursor = Contact.find(filter).sort(sort).lean().cursor()
+
+        await streamExport({
+          cursor,
+          fields: getExportFields(Contact),
+          format: req.query.format || "csv",
+          res,
+        })
+      } catch (error) {
+        logger.error("Error exporting contacts", { error })
+        if (res.headersSent) {
+          // Part of the file is already out; abort so the client sees a failed download
+          return res.destroy(error)
+        }
+        res.status(500).json({
+          success: false,
+          message: "Error exporting contacts",
+        })
+      }
+    },
+  )
+
+  // Loads a contact with its notes and activity, resolving admin references
+  function findContactDetail(id) {
+    return Contact.findById(id)
+      .select("-__v")
+      .populate("assignedTo", "name email role")
+      .populate("notes.author", "name email")
+      .populate("activity.actor", "name email")
+  }
+
+  // Get a single contact with notes and activity history (admin endpoint)
+  router.get(
+    "/:id",
+    authenticateAdmin,
+    requirePermission("contacts:read"),
+    validateContactId,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const contact = await findContactDetail(req.params.id)
+
+        if (!contact) {
+          return res.status(404).json({
+            success: false,
+            message: "Contact not found",
+          })
+        }
+
+        res.json({
+          success: true,
+          data: contact,
+        })
+      } catch (error) {
+        logger.error("Error fetching contact", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error fetching contact",
+        })
+      }
+    },
+  )
+
+  // Download a file uploaded with the submission (admin endpoint)
+  router.get(
+    "/:id/attachments/:attachmentId",
+    authenticateAdmin,
+    requirePermission("contacts:read"),
+    validateContactId,
+    param("attachmentId").isMongoId().withMessage("Invalid attachment id"),
+    handleValidation,
+    async (req, res) => {
+      try {
+        const contact = await Contact.findById(req.params.id).select("attachments")
+        const attachment = contact?.attachments.id(req.params.attachmentId)
+        const stream = attachment && (await openAttachment(attachment))
+
+        if (!stream) {
+          return res.status(404).json({
+            success: false,
+            message: "Attachment not found",
+          })
+        }
+
+        res.attachment(attachment.filename)
+        res.set({
+          "Content-Type": attachment.contentType,
+          "Content-Length": attachment.size,
+          "Cache-Control": "private, no-store",
+        })
+        await pipeline(stream, res)
+      } catch (error) {
+        logger.error("Error downloading attachment", { error })
+        if (res.headersSent) return res.destroy(error)
+        res.status(500).json({
+          success: false,
+          message: "Error downloading attachment",
+        })
+      }
+    },
+  )
+
+  // Update contact status (admin endpoint)
+  router.patch(
+    "/:id/status",
+    authenticateAdmin,
+    requirePermission("contacts:update"),
+    validateContactId,
+    validateStatusChange,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const { status, lostReason, spamReason } = req.body
+
+        const contact = await Contact.findById(req.params.id)
+
+        if (!contact) {
+          return res.status(404).json({
+            success: false,
+            message: "Contact not found",
+          })
+        }
+
+        const previousStatus = contact.status
+        if (previousStatus !== status) {
+          contact.activity.push({
+            type: "status_changed",
+            from: contact.status,
+            to: status,
+            details: status === "lost" ? lostReason : status === "spam" ? spamReason : undefined,
+            actor: req.admin._id,
+          })
+          contact.status = status
+        }
+        contact.lostReason = status === "lost" ? lostReason : undefined
+        contact.spamReason =
+          status === "spam" ? spamReason || contact.spamReason || "Marked as spam by an admin" : undefined
+        await contact.save()
+        auditChange(req, { status: previousStatus }, { status })
+
+        if (previousStatus !== status) {
+          // The follow-up sequence is only for leads nobody has picked up yet
+          if (previousStatus === "new") await followUps.cancelFollowUps(contact._id, `status: ${status}`)
+          await webhooks.trigger("contact.status_changed", {
+            contact: webhooks.serializeContact(contact),
+            from: previousStatus,
+            to: status,
+            changedBy: { id: req.admin._id.toString(), email: req.admin.email },
+          })
+        }
+
+        res.json({
+          success: true,
+          data: await findContactDetail(contact._id),
+        })
+      } catch (error) {
+        logger.error("Error updating contact status", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error updating contact status",
+        })
+      }
+    },
+  )
+
+  // Release a submission that was wrongly flagged as spam: it becomes a new lead and the
+  // emails and webhooks that were held back are sent (admin endpoint)
+  router.post(
+    "/:id/not-spam",
+    authenticateAdmin,
+    requirePermission("contacts:update"),
+    validateContactId,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const contact = await Contact.findById(req.params.id)
+
+        if (!contact) {
+          return res.status(404).json({
+            success: false,
+            message: "Contact not found",
+          })
+        }
+
+        if (contact.status !== "spam") {
+          return res.status(409).json({
+            success: false,
+            message: "Contact is not marked as spam",
+          })
+        }
+
+        contact.activity.push({
+          type: "status_changed",
+          from: "spam",
+          to: "new",
+          details: "Marked as not spam",
+          actor: req.admin._id,
+        })
+        contact.status = "new"
+        contact.spamReason = undefined
+        await contact.save()
+        auditChange(req, { status: "spam" }, { status: "new" })
+
+        await notifier.notifyNewContact(contact, await formDefinitions.getDefinition(contact.formType))
+
+        res.json({
+          success: true,
+          data: await findContactDetail(contact._id),
+        })
+      } catch (error) {
+        logger.error("Error releasing contact from spam", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error releasing contact from spam",
+        })
+      }
+    },
+  )
+
+  // Assign a contact to an admin, or unassign with null (admin endpoint)
+  router.patch(
+    "/:id/assignee",
+    authenticateAdmin,
+    requirePermission("contacts:update"),
+    validateContactId,
+    validateAssignee,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const { assignedTo } = req.body
+
+        if (assignedTo && !(await Admin.exists({ _id: assignedTo, active: true }))) {
+          return res.status(400).json({
+            success: false,
+            message: "Assignee must be an active admin",
+          })
+        }
+
+        const contact = await Contact.findById(req.params.id)
+
+        if (!contact) {
+          return res.status(404).json({
+            success: false,
+            message: "Contact not found",
+          })
+        }
+
+        if (String(contact.assignedTo) !== String(assignedTo)) {
+          auditChange(req, { assignedTo: contact.assignedTo || null }, { assignedTo: assignedTo || null })
+          contact.activity.push({
+            type: "assigned",
+            from: contact.assignedTo,
+            to: assignedTo,
+            actor: req.admin._id,
+          })
+          contact.assignedTo = assignedTo
+          await contact.save()
+        }
+
+        res.json({
+          success: true,
+          data: await findContactDetail(contact._id),
+        })
+      } catch (error) {
+        logger.error("Error assigning contact", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error assigning contact",
+        })
+      }
+    },
+  )
+
+  // Add an internal note to a contact (admin endpoint)
+  router.post(
+    "/:id/notes",
+    authenticateAdmin,
+    requirePermission("contacts:update"),
+    validateContactId,
+    validateNote,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const contact = await Contact.findById(req.params.id)
+
+        if (!contact) {
+          return res.status(404).json({
+            success: false,
+            message: "Contact not found",
+          })
+        }
+
+        contact.notes.push({ body: req.body.body, author: req.admin._id })
+        contact.activity.push({ type: "note_added", actor: req.admin._id })
+        await contact.save()
+        // The note's id rather than its text, which can quote the person
+        auditChange(req, null, { noteId: contact.notes.at(-1)._id })
+
+        res.status(201).json({
+          success: true,
+          data: await findContactDetail(contact._id),
+        })
+      } catch (error) {
+        logger.error("Error adding note", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error adding note",
+        })
+      }
+    },
+  )
+
+  // Delete a contact (owner only)
+  router.delete(
+    "/:id",
+    authenticateAdmin,
+    requirePermission("contacts:delete"),
+    validateContactId,
+    handleValidation,
+    async (req, res) => {
+      try {
+        const contact = await Contact.findById(req.params.id)
+
+        if (!contact) {
+          return res.status(404).json({
+            success: false,
+            message: "Contact not found",
+          })
+        }
+
+        // Files first, so a storage failure leaves the contact in place to retry
+        await removeAttachments(contact.attachments)
+        await contact.deleteOne()
+        await Promise.all([FollowUp.deleteMany({ contact: contact._id }), Booking.deleteMany({ contact: contact._id })])
+
+        // What was deleted, without the personal data
+        auditChange(req, { status: contact.status, formType: contact.formType, submittedAt: contact.submittedAt }, null)
+
+        res.json({
+          success: true,
+          message: "Contact deleted",
+        })
+      } catch (error) {
+        logger.error("Error deleting contact", { error })
+        res.status(500).json({
+          success: false,
+          message: "Error deleting contact",
+        })
+      }
+    },
+  )
+
+  return router
+}
+
+module.exports = createAdminContactRoutes
@@ -0,0 +1,88 @@
+const express = require("express")
+const defaultEmailQueue = require("../utils/emailQueue")
+const webhooks = require("../utils/webhooks")
+const retention = require("../services/retention")
+const followUps = require("../services/followUps")
+const { requireCronSecret } = require("../middleware/auth")
+const logger = require("../utils/logger")
+
+// Scheduled jobs called by Vercel Cron, mounted at /api/cron
+function createCronRoutes({ emailQueue = defaultEmailQueue } = {}) {
+  const router = express.Router()
+
+  // Vercel Cron: drains the email outbox, since serverless hosts have no background worker
+  router.get("/email-queue", requireCronSecret, async (req, res) => {
+    try {
+      const processed = await emailQueue.processQueue()
+
+      res.json({
+        success: true,
+        data: { processed },
+      })
+    } catch (error) {
+      logger.error("Email queue cron error", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error processing email queue",
+      })
+    }
+  })
+
+  // Vercel Cron: retries pending webhook deliveries
+  router.get("/webhooks", requireCronSecret, async (req, res) => {
+    try {
+      const processed = await webhooks.processQueue()
+
+      res.json({
+        success: true,
+        data: { processed },
+      })
+    } catch (error) {
+      logger.error("Webhook cron error", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error processing webhook deliveries",
+      })
+    }
+  })
+
+  // Vercel Cron: sends the follow-up emails that are due
+  router.get("/follow-ups", requireCronSecret, async (req, res) => {
+    try {
+      const processed = await followUps.processDueFollowUps({ emailQueue })
+
+      res.json({
+        success: true,
+        data: { processed },
+      })
+    } catch (error) {
+      logger.error("Follow-up cron error", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error processing follow-ups",
+      })
+    }
+  })
+
+  // Vercel Cron: applies the retention policy (daily; a no-op while RETENTION_DAYS is 0)
+  router.get("/retention", requireCronSecret, async (req, res) => {
+    try {
+      const { processed } = await retention.applyRetention()
+
+      res.json({
+        success: true,
+        data: { processed },
+      })
+    } catch (error) {
+      logger.error("Retention cron error", { error })
+      res.status(500).json({
+        success: false,
+        message: "Error applying retention policy",
+      })
+    }
+  })
+
+  return router
+}
+
+module.exports = createCronRoutes
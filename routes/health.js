@@ -0,0 +1,115 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const config = require("../config")
+
+const CONNECTION_STATES = ["disconnected", "connected", "connecting", "disconnecting"]
+
+function withTimeout(promise, ms, what) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// Pings MongoDB rather than trusting readyState, which stays "connected" while a primary is unreachable
+async function checkDatabase() {
+  const state = CONNECTION_STATES[mongoose.connection.readyState] || "unknown"
+  if (state !== "connected") return { status: "down", state }
+
+  const startedAt = Date.now()
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), config.health.timeoutMs, "MongoDB ping")
+    return { status: "up", state, latencyMs: Date.now() - startedAt }
+  } catch (error) {
+    return { status: "down", state, error: error.message }
+  }
+}
+
+// Liveness, readiness and the detailed health report, mounted at /api/health.
+// Load balancers and orchestrators should use /live to restart the process and /ready to route traffic.
+function createHealthRoutes({ emailService, spamFilter }) {
+  const router = express.Router()
+  let emailCheck = null
+
+  // Verifying the transport opens a connection to the mail server, so a successful result is reused for
+  // HEALTH_EMAIL_CHECK_INTERVAL_MS and concurrent probes share one check
+  async function checkEmail() {
+    if (!emailService.isConfigured()) {
+      // No transport configured is fine (emails are skipped); one that failed to initialize is not
+      const health = emailService.getHealth()
+      return { ...health, status: health.status === "error" ? "down" : "disabled" }
+    }
+
+    const { status, checkedAt } = emailService.getHealth()
+    if (status !== "ok" || Date.now() - Date.parse(checkedAt) >= config.health.emailCheckIntervalMs) {
+      emailCheck =
+        emailCheck ||
+        withTimeout(emailService.verify(), config.health.timeoutMs, "Email transport check")
+          .then(() => null, (error) => error)
+          .finally(() => {
+            emailCheck = null
+          })
+      const error = await emailCheck
+      if (error) return { transport: emailService.transport.name, status: "down", error: error.message }
+    }
+
+    const health = emailService.getHealth()
+    return { ...health, status: health.status === "ok" ? "up" : "down" }
+  }
+
+  // Runs every dependency check; ready only when none of them is down and the process isn't shutting down
+  async function readiness(req) {
+    const [database, email] = await Promise.all([checkDatabase(), checkEmail()])
+    const checks = { database, email }
+    const shuttingDown = Boolean(req.app.locals.shuttingDown)
+    const ready = !shuttingDown && Object.values(checks).every((check) => check.status !== "down")
+    return { ready, shuttingDown, checks }
+  }
+
+  // Liveness: the process is up and serving requests. Never checks dependencies, so an outage
+  // elsewhere doesn't get the process restarted.
+  router.get("/live", (req, res) => {
+    res.json({
+      success: true,
+      status: "alive",
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  // Readiness: 503 while MongoDB or the email transport is down, or while shutting down
+  router.get("/ready", async (req, res) => {
+    const { ready, shuttingDown, checks } = await readiness(req)
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      status: ready ? "ready" : shuttingDown ? "shutting down" : "not ready",
+      checks,
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  // Detailed report for people; same checks and status code as /ready
+  router.get("/", async (req, res) => {
+    const { ready, shuttingDown, checks } = await readiness(req)
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      message: ready ? "Server is running perfectly" : "Server is not ready to handle requests",
+      status: ready ? "healthy" : shuttingDown ? "shutting down" : "unhealthy",
+      environment: config.env,
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+      services: {
+        database: checks.database,
+        email: checks.email,
+        captcha: spamFilter.getHealth(),
+      },
+    })
+  })
+
+  return router
+}
+
+module.exports = createHealthRoutes
@@ -0,0 +1,91 @@
+const express = require("express")
+const Contact = require("../models/Contact")
+const followUps = require("../services/followUps")
+const { verifyLinkToken } = require("../utils/linkTokens")
+const { escapeHtml } = require("../utils/emailTemplates")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const router = express.Router()
+
+// The confirmation form posts urlencoded; this router is mounted ahead of the app's body parsers (see app.js)
+router.use(express.urlencoded({ extended: false, limit: "10kb" }))
+
+// Minimal standalone page, since the link is opened straight from an email
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - ${escapeHtml(config.company.name)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #333;">
+  <h1 style="font-size: 24px; color: #007bff;">${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`
+}
+
+function invalidLink(res) {
+  res
+    .status(400)
+    .type("html")
+    .send(
+      page(
+        "Invalid link",
+        `<p>This unsubscribe link is invalid. Please use the link from the latest email, or contact us at
+  <a href="mailto:${escapeHtml(config.company.email)}">${escapeHtml(config.company.email)}</a>.</p>`,
+      ),
+    )
+}
+
+// Confirmation page. Unsubscribing needs the POST below, so link scanners that open every URL in an
+// email don't unsubscribe anyone.
+router.get("/", (req, res) => {
+  const token = req.query.token
+  if (!verifyLinkToken("unsubscribe", token)) return invalidLink(res)
+
+  res.type("html").send(
+    page(
+      "Unsubscribe",
+      `<p>Stop receiving follow-up emails from ${escapeHtml(config.company.name)}?</p>
+  <form method="post" action="?">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit" style="padding: 10px 20px; font-size: 16px;">Unsubscribe</button>
+  </form>`,
+    ),
+  )
+})
+
+// Unsubscribes the contact from follow-ups. Also the target of one-click unsubscribe from mail clients
+// (List-Unsubscribe-Post, RFC 8058), which POST to the link with the token in the query string.
+router.post("/", async (req, res) => {
+  const contactId = verifyLinkToken("unsubscribe", req.query.token || req.body?.token)
+  if (!contactId) return invalidLink(res)
+
+  try {
+    const contact = await Contact.findById(contactId)
+    // Deleted contacts get no more emails anyway
+    if (contact && !contact.unsubscribedAt) {
+      contact.unsubscribedAt = new Date()
+      contact.activity.push({ type: "unsubscribed", details: "Unsubscribed from follow-up emails" })
+      await contact.save()
+      const cancelled = await followUps.cancelFollowUps(contact._id, "unsubscribed")
+      logger.info("Contact unsubscribed from follow-ups", { contactId, cancelled })
+    }
+
+    res
+      .type("html")
+      .send(page("You're unsubscribed", "<p>You won't receive any more follow-up emails from us.</p>"))
+  } catch (error) {
+    logger.error("Error unsubscribing contact", { contactId, error })
+    res
+      .status(500)
+      .type("html")
+      .send(page("Something went wrong", "<p>We couldn't unsubscribe you right now. Please try again later.</p>"))
+  }
+})
+
+module.exports = router
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose")
+const config = require("../config")
+
+const Admin = require("../models/Admin")
+
+// Creates an owner account. Further admins are invited through POST /api/admin/users.
+// Usage: node scripts/create-admin.js <email> <password> [name]
+async function createAdmin() {
+  const [email, password, ...nameParts] = process.argv.slice(2)
+
+  if (!email || !password) {
+    console.error("Usage: node scripts/create-admin.js <email> <password> [name]")
+    process.exit(1)
+  }
+
+  if (password.length < 12) {
+    console.error("Password must be at least 12 characters long")
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(config.mongodbUri, {
+      serverSelectionTimeoutMS: 15000, // timeout faster if DNS fails
+      socketTimeoutMS: 45000,
+    })
+
+    console.log("Connected to MongoDB Atlas")
+
+    const existing = await Admin.findOne({ email: email.toLowerCase() })
+    if (existing) {
+      console.error(`An admin with email ${email} already exists`)
+      process.exit(1)
+    }
+
+    const admin = new Admin({ email, name: nameParts.join(" ") || undefined, role: "owner" })
+    await admin.setPassword(password)
+    await admin.save()
+
+    console.log(`Owner account created successfully: ${admin.email}`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error creating admin:", error)
+    process.exit(1)
+  }
+}
+
+createAdmin()
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose")
+const config = require("../config")
+
+const migrations = require("../utils/migrations")
+
+const USAGE = `Usage: node scripts/migrate.js <command>
+  up [version]          apply pending migrations (up to and including version)
+  down [steps]          roll back the latest migration, or the latest <steps>
+  down --to <version>   roll back every migration after version
+  status                list migrations and when they were applied
+  create <name>         add an empty migration to migrations/`
+
+function option(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+// Runs database migrations from migrations/; applied ones are recorded in the migrations collection
+async function migrate() {
+  const [command, ...args] = process.argv.slice(2)
+
+  if (command === "create") {
+    try {
+      console.log(`Created ${migrations.create(args.join("-"))}`)
+      process.exit(0)
+    } catch (error) {
+      console.error(error.message)
+      process.exit(1)
+    }
+  }
+
+  const to = option(args, "--to")
+  const steps = command === "down" && !to ? Number.parseInt(args[0] || "1") : undefined
+  if (!["up", "down", "status"].includes(command) || (command === "down" && !to && !(steps > 0))) {
+    console.error(USAGE)
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(config.mongodbUri, {
+      serverSelectionTimeoutMS: 15000, // timeout faster if DNS fails
+      socketTimeoutMS: 45000,
+    })
+
+    if (command === "status") {
+      for (const migration of await migrations.status()) {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : "pending"
+        const description = migration.description ? `  ${migration.description}` : ""
+        console.log(`${migration.version}-${migration.name}  ${state}${description}`)
+      }
+    } else if (command === "up") {
+      const applied = await migrations.up({
+        to: args[0],
+        onApply: (migration) => console.log(`Applying ${migration.file}`),
+      })
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : "Database is up to date")
+    } else {
+      const reverted = await migrations.down({
+        steps,
+        to,
+        onRevert: (migration) => console.log(`Rolling back ${migration.file}`),
+      })
+      console.log(`Rolled back ${reverted.length} migration(s)`)
+    }
+
+    process.exit(0)
+  } catch (error) {
+    console.error("Migration error:", error)
+    process.exit(1)
+  }
+}
+
+migrate()
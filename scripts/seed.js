@@ -0,0 +1,153 @@
+const mongoose = require("mongoose")
+const config = require("../config")
+
+const Contact = require("../models/Contact")
+const formDefinitions = require("../utils/formDefinitions")
+const { parsePhone } = require("../utils/phone")
+
+// Loads realistic fake leads for local development. Seeded contacts use @example.com addresses,
+// so --reset can remove them without touching anything else.
+// Usage: node scripts/seed.js [--count 50] [--days 90] [--reset]
+const SEED_EMAIL_DOMAIN = "example.com"
+const SEED_EMAIL_PATTERN = /@example\.com$/
+
+const FIRST_NAMES = [
+  "Aarav", "Priya", "Rohan", "Ananya", "Vikram", "Sneha", "Arjun", "Kavya", "Rahul", "Isha", "Karan", "Meera",
+  "Aditya", "Pooja", "Siddharth", "Neha", "Emma", "Liam", "Sofia", "Omar",
+]
+const LAST_NAMES = [
+  "Sharma", "Verma", "Gupta", "Mehta", "Iyer", "Reddy", "Kapoor", "Singh", "Nair", "Joshi", "Chopra", "Malhotra",
+  "Brown", "Garcia", "Khan",
+]
+const MESSAGES = [
+  "We run a clothing brand on Shopify and want to redesign our store before the festive season.",
+  "Looking for help migrating our store from WooCommerce to Shopify, about 800 products.",
+  "Our checkout conversion dropped after a theme update. Can you audit the store?",
+  "Need a custom Shopify theme for a new skincare brand launching next quarter.",
+  "Interested in a monthly retainer for store maintenance and speed optimisation.",
+  "Can you set up COD, Razorpay and Shiprocket for our jewellery store?",
+  "We want to expand to the UAE and need multi-currency and multi-language support.",
+  "Please share pricing for a Shopify Plus build with B2B wholesale pricing.",
+]
+const SOURCES = [
+  { weight: 35, attribution: { utmSource: "google", utmMedium: "cpc", utmCampaign: "shopify-experts", gclid: "seed" } },
+  {
+    weight: 20,
+    attribution: { utmSource: "facebook", utmMedium: "paid-social", utmCampaign: "festive-sale", fbclid: "seed" },
+  },
+  { weight: 10, attribution: { utmSource: "instagram", utmMedium: "social", utmCampaign: "reels" } },
+  { weight: 15, attribution: { referrer: "https://www.google.com/" } },
+  { weight: 20, attribution: {} },
+]
+// Final status of each lead and how far it got along the pipeline on the way there
+const OUTCOMES = [
+  { weight: 30, path: ["new"] },
+  { weight: 20, path: ["new", "contacted"] },
+  { weight: 15, path: ["new", "contacted", "qualified"] },
+  { weight: 10, path: ["new", "contacted", "qualified", "proposal-sent"] },
+  { weight: 10, path: ["new", "contacted", "qualified", "proposal-sent", "converted"] },
+  { weight: 10, path: ["new", "contacted", "lost"], lostReason: "Budget too low" },
+  { weight: 5, path: ["spam"], spamReason: "Message contains 3 links" },
+]
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(name)
+  return index === -1 ? fallback : Number.parseInt(process.argv[index + 1])
+}
+
+function pick(items) {
+  return items[Math.floor(Math.random() * items.length)]
+}
+
+function pickWeighted(items) {
+  let roll = Math.random() * items.reduce((total, item) => total + item.weight, 0)
+  return items.find((item) => (roll -= item.weight) < 0) || items[items.length - 1]
+}
+
+// A valid Indian number in E.164
+function fakePhone() {
+  for (;;) {
+    const digits = `${pick(["9", "8", "7"])}${String(Math.floor(Math.random() * 1e9)).padStart(9, "0")}`
+    const phone = parsePhone(digits, "IN")
+    if (phone) return phone
+  }
+}
+
+function fakeContact(index, days) {
+  const firstName = pick(FIRST_NAMES)
+  const lastName = pick(LAST_NAMES)
+  const phone = fakePhone()
+  const outcome = pickWeighted(OUTCOMES)
+  const submittedAt = new Date(Date.now() - Math.random() * days * DAY_MS)
+
+  // Each later status arrives a few hours to a few days after the previous one, but never in the future
+  let at = submittedAt.getTime()
+  const details = outcome.spamReason && `Flagged as spam: ${outcome.spamReason}`
+  const activity = [{ type: "created", details, at: submittedAt }]
+  for (let step = 1; step < outcome.path.length; step += 1) {
+    at = Math.min(at + HOUR_MS + Math.random() * 3 * DAY_MS, Date.now())
+    activity.push({ type: "status_changed", from: outcome.path[step - 1], to: outcome.path[step], at: new Date(at) })
+  }
+
+  return {
+    name: `${firstName} ${lastName}`,
+    email: `${firstName}.${lastName}.${index}@${SEED_EMAIL_DOMAIN}`.toLowerCase(),
+    phone: phone.e164,
+    phoneCountry: phone.country,
+    message: pick(MESSAGES),
+    formType: pick(["hero", "final"]),
+    locale: Math.random() < 0.2 ? "hi" : "en",
+    attribution: { ...pickWeighted(SOURCES).attribution, landingPath: "/" },
+    consent: { given: true, at: submittedAt, policyVersion: config.privacy.policyVersion },
+    submittedAt,
+    status: outcome.path[outcome.path.length - 1],
+    lostReason: outcome.lostReason,
+    spamReason: outcome.spamReason,
+    activity,
+  }
+}
+
+async function seed() {
+  const count = option("--count", 50)
+  const days = option("--days", 90)
+  const reset = process.argv.includes("--reset")
+
+  if (config.isProduction) {
+    console.error("Refusing to seed fake leads with NODE_ENV=production")
+    process.exit(1)
+  }
+  if (!(count >= 0) || !(days > 0)) {
+    console.error("Usage: node scripts/seed.js [--count 50] [--days 90] [--reset]")
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(config.mongodbUri, {
+      serverSelectionTimeoutMS: 15000, // timeout faster if DNS fails
+      socketTimeoutMS: 45000,
+    })
+
+    console.log("Connected to MongoDB")
+
+    // Seeded leads reference the default forms
+    await formDefinitions.ensureDefaultDefinitions()
+
+    if (reset) {
+      const { deletedCount } = await Contact.deleteMany({ email: SEED_EMAIL_PATTERN })
+      console.log(`Removed ${deletedCount} seeded contact(s)`)
+    }
+
+    const contacts = Array.from({ length: count }, (_, index) => fakeContact(index + 1, days))
+    await Contact.insertMany(contacts)
+
+    console.log(`Created ${contacts.length} fake lead(s) over the last ${days} days`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Seed error:", error)
+    process.exit(1)
+  }
+}
+
+seed()
@@ -0,0 +1,274 @@
+const Availability = require("../models/Availability")
+const Booking = require("../models/Booking")
+const Contact = require("../models/Contact")
+const defaultEmailQueue = require("../utils/emailQueue")
+const { signLinkToken, verifyLinkToken } = require("../utils/linkTokens")
+const { zonedTimeToUtc, zonedDate, addDays, weekday, minutesOf } = require("../utils/timezone")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_RANGE_DAYS = 31
+// How long after enquiring a lead can book with the token from the contact form response
+const BOOKING_TOKEN_TTL = "30d"
+
+// A booking request that can't be met; status is the HTTP status the routes answer with
+class BookingError extends Error {
+  constructor(message, status = 409) {
+    super(message)
+    this.name = "BookingError"
+    this.status = status
+  }
+}
+
+// The saved availability, or the defaults (no weekly hours, so nothing bookable) until an admin saves one
+async function getAvailability() {
+  return (await Availability.findOne({ key: "default" })) || new Availability()
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`
+}
+
+function isBlackedOut(availability, date) {
+  return availability.blackouts.some((blackout) => date >= blackout.from && date <= (blackout.to || blackout.from))
+}
+
+// Every slot of one day ("YYYY-MM-DD" in the availability's timezone), booked or not
+function daySlots(availability, date) {
+  if (isBlackedOut(availability, date)) return []
+
+  const { timezone, slotMinutes } = availability
+  const starts = new Map()
+  for (const hours of availability.weeklyHours.filter((entry) => entry.day === weekday(date))) {
+    const end = minutesOf(hours.end)
+    for (let minute = minutesOf(hours.start); minute + slotMinutes <= end; minute += slotMinutes) {
+      const startsAt = zonedTimeToUtc(date, formatTime(minute), timezone)
+      if (startsAt) starts.set(startsAt.getTime(), startsAt)
+    }
+  }
+
+  return [...starts.values()]
+    .sort((a, b) => a - b)
+    .map((startsAt) => ({ startsAt, endsAt: new Date(startsAt.getTime() + slotMinutes * 60 * 1000) }))
+}
+
+// Earliest and latest start that can be booked now (minNoticeHours, maxDaysAhead)
+function bookingWindow(availability, now) {
+  return {
+    earliest: new Date(now.getTime() + availability.minNoticeHours * 60 * 60 * 1000),
+    latest: new Date(now.getTime() + availability.maxDaysAhead * DAY_MS),
+  }
+}
+
+const overlapping = (slot, booking) => slot.startsAt < booking.endsAt && slot.endsAt > booking.startsAt
+
+// Free slots from one date to another (inclusive, at most 31 days), in the availability's timezone.
+// Without dates, the next 7 days.
+async function listSlots({ from, to, now = new Date() } = {}) {
+  const availability = await getAvailability()
+  const { earliest, latest } = bookingWindow(availability, now)
+  const firstDate = from || zonedDate(now, availability.timezone)
+  const lastDate = to || addDays(firstDate, 6)
+
+  let slots = []
+  for (let date = firstDate, days = 0; date <= lastDate && days < MAX_RANGE_DAYS; date = addDays(date, 1), days++) {
+    slots.push(...daySlots(availability, date).filter((slot) => slot.startsAt >= earliest && slot.startsAt <= latest))
+  }
+
+  if (slots.length > 0) {
+    const booked = await Booking.find({
+      status: "confirmed",
+      startsAt: { $lt: slots[slots.length - 1].endsAt },
+      endsAt: { $gt: slots[0].startsAt },
+    }).select("startsAt endsAt")
+    slots = slots.filter((slot) => !booked.some((booking) => overlapping(slot, booking)))
+  }
+
+  return { timezone: availability.timezone, slotMinutes: availability.slotMinutes, slots }
+}
+
+// The slot starting at startsAt, if the availability offers it and it can be booked now
+async function findSlot(startsAt, now = new Date()) {
+  const availability = await getAvailability()
+  const { earliest, latest } = bookingWindow(availability, now)
+  if (startsAt < earliest || startsAt > latest) return null
+
+  const slot = daySlots(availability, zonedDate(startsAt, availability.timezone)).find(
+    (candidate) => candidate.startsAt.getTime() === startsAt.getTime(),
+  )
+  return slot ? { ...slot, timezone: availability.timezone } : null
+}
+
+// Overlap check for slots of different lengths; the unique index on startsAt catches two requests for the same slot
+async function assertSlotFree(slot, bookingId) {
+  const taken = await Booking.exists({
+    _id: { $ne: bookingId },
+    status: "confirmed",
+    startsAt: { $lt: slot.endsAt },
+    endsAt: { $gt: slot.startsAt },
+  })
+  if (taken) throw new BookingError("That slot has just been booked. Please pick another one.")
+}
+
+async function saveBooking(booking) {
+  try {
+    return await booking.save()
+  } catch (error) {
+    if (error.code === 11000) throw new BookingError("That slot has just been booked. Please pick another one.")
+    throw error
+  }
+}
+
+// Token a lead books with, returned by the contact form; its subject is the contact
+function bookingToken(contactId) {
+  return signLinkToken("booking", contactId, { expiresIn: BOOKING_TOKEN_TTL })
+}
+
+// Reschedule and cancel links for the booking emails. Their tokens expire when the call ends.
+function manageUrls(booking) {
+  const expiresIn = Math.max(Math.ceil((booking.endsAt.getTime() - Date.now()) / 1000), 60)
+  const link = (action) =>
+    `${config.frontendUrl}/booking/${action}?token=${signLinkToken(`booking-${action}`, booking._id, { expiresIn })}`
+  return { rescheduleUrl: link("reschedule"), cancelUrl: link("cancel") }
+}
+
+// The booking a reschedule or cancel token refers to, or null
+async function findByToken(action, token) {
+  const bookingId = verifyLinkToken(`booking-${action}`, token)
+  return bookingId ? Booking.findById(bookingId) : null
+}
+
+function describeSlot(booking) {
+  const time = booking.startsAt.toLocaleString("en-IN", {
+    timeZone: booking.timezone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  })
+  return `${time} (${booking.timezone})`
+}
+
+// Queues the confirmation (with a calendar invite) or cancellation email to the lead. Leads flagged as
+// spam after booking get no email.
+async function notifyLead(kind, booking, contact, emailQueue) {
+  if (contact.status === "spam") return
+
+  try {
+    const job = await emailQueue.enqueue(
+      kind,
+      {
+        bookingId: booking._id,
+        contactId: contact._id,
+        name: contact.name,
+        email: contact.email,
+        locale: contact.locale,
+        formType: contact.formType,
+        startsAt: booking.startsAt,
+        endsAt: booking.endsAt,
+        timezone: booking.timezone,
+        sequence: booking.sequence,
+        notes: booking.notes,
+        ...(kind === "booking_confirmation" && manageUrls(booking)),
+      },
+      contact.email,
+    )
+    await emailQueue.dispatch([job])
+  } catch (error) {
+    logger.error("Failed to queue booking email", { bookingId: booking._id, kind, error })
+  }
+}
+
+// Books the slot starting at startsAt for the contact. A contact has at most one upcoming call, and
+// contacts in spam review can't book (their token may have been issued before they were flagged).
+async function createBooking({ contactId, startsAt, notes, emailQueue = defaultEmailQueue, now = new Date() }) {
+  const contact = await Contact.findById(contactId)
+  if (!contact || contact.anonymizedAt) throw new BookingError("This booking link is no longer valid", 404)
+  if (contact.status === "spam") throw new BookingError("This booking link is no longer valid", 403)
+
+  const upcoming = await Booking.exists({ contact: contact._id, status: "confirmed", endsAt: { $gt: now } })
+  if (upcoming) {
+    throw new BookingError(
+      "You already have a consultation booked. Use the link in your confirmation email to reschedule it.",
+    )
+  }
+
+  const slot = await findSlot(startsAt, now)
+  if (!slot) throw new BookingError("That time isn't available. Please pick one of the available slots.", 400)
+  await assertSlotFree(slot)
+
+  const booking = await saveBooking(new Booking({ contact: contact._id, ...slot, notes }))
+
+  contact.activity.push({ type: "booking_created", details: describeSlot(booking) })
+  await contact.save()
+  logger.info("Consultation booked", { bookingId: booking._id, contactId: contact._id })
+
+  await notifyLead("booking_confirmation", booking, contact, emailQueue)
+  return booking
+}
+
+// Moves a confirmed booking to another free slot; the lead gets an updated invite
+async function rescheduleBooking(booking, { startsAt, emailQueue = defaultEmailQueue, now = new Date() }) {
+  if (booking.status !== "confirmed") throw new BookingError("This booking has been cancelled")
+  if (booking.startsAt.getTime() === startsAt.getTime()) return booking
+
+  const slot = await findSlot(startsAt, now)
+  if (!slot) throw new BookingError("That time isn't available. Please pick one of the available slots.", 400)
+  await assertSlotFree(slot, booking._id)
+
+  const previous = describeSlot(booking)
+  booking.set({ ...slot, sequence: booking.sequence + 1 })
+  await saveBooking(booking)
+
+  const contact = await Contact.findById(booking.contact)
+  if (contact) {
+    contact.activity.push({ type: "booking_rescheduled", from: previous, to: describeSlot(booking) })
+    await contact.save()
+    await notifyLead("booking_confirmation", booking, contact, emailQueue)
+  }
+  logger.info("Consultation rescheduled", { bookingId: booking._id })
+  return booking
+}
+
+// Cancels a booking, by the lead or an admin (actor), and frees its slot. Cancelling twice does nothing.
+async function cancelBooking(booking, { reason, actor, emailQueue = defaultEmailQueue } = {}) {
+  if (booking.status === "cancelled") return booking
+
+  booking.set({ status: "cancelled", cancelledAt: new Date(), cancelReason: reason, sequence: booking.sequence + 1 })
+  await booking.save()
+
+  const contact = await Contact.findById(booking.contact)
+  if (contact) {
+    contact.activity.push({
+      type: "booking_cancelled",
+      details: [describeSlot(booking), reason].filter(Boolean).join(": "),
+      actor,
+    })
+    await contact.save()
+    await notifyLead("booking_cancellation", booking, contact, emailQueue)
+  }
+  logger.info("Consultation cancelled", { bookingId: booking._id, byAdmin: Boolean(actor) })
+  return booking
+}
+
+// What the public booking endpoints show of a booking
+function serializeBooking(booking) {
+  return {
+    id: booking._id,
+    startsAt: booking.startsAt,
+    endsAt: booking.endsAt,
+    timezone: booking.timezone,
+    status: booking.status,
+  }
+}
+
+module.exports = {
+  BookingError,
+  getAvailability,
+  listSlots,
+  bookingToken,
+  findByToken,
+  createBooking,
+  rescheduleBooking,
+  cancelBooking,
+  serializeBooking,
+}
@@ -0,0 +1,66 @@
+const defaultEmailQueue = require("../utils/emailQueue")
+const webhooks = require("../utils/webhooks")
+const followUps = require("./followUps")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+// Data for the new-lead emails, from a saved contact and its form definition (if still active)
+function buildContactData(doc, definition) {
+  const contact = doc.toObject()
+  const customFields = contact.customFields || {}
+  return {
+    name: contact.name,
+    email: contact.email,
+    phone: contact.phone,
+    phoneCountry: contact.phoneCountry,
+    message: contact.message,
+    formType: contact.formType,
+    formName: definition ? definition.name : contact.formType,
+    customFields: definition
+      ? definition.fields
+          .filter((field) => customFields[field.name] !== undefined)
+          .map((field) => ({ label: field.label, value: customFields[field.name] }))
+      : Object.entries(customFields).map(([label, value]) => ({ label, value })),
+    locale: contact.locale,
+    contactId: contact._id,
+    submittedAt: contact.submittedAt,
+    attribution: contact.attribution || {},
+    attachments: (contact.attachments || []).map((attachment) => ({
+      id: attachment._id,
+      filename: attachment.filename,
+      size: attachment.size,
+    })),
+  }
+}
+
+// What happens when a lead comes in: emails go through the given queue
+function createContactNotifier({ emailQueue = defaultEmailQueue } = {}) {
+  // Admin notification, auto-reply, follow-up sequence and contact.created webhook for a new (non-spam) lead
+  async function notifyNewContact(contact, definition) {
+    const contactData = buildContactData(contact, definition)
+
+    // Always queued in the outbox, even while the mail transport isn't configured: the email queue worker
+    // retries failed sends and moves emails that keep failing to the dead letter queue, so no lead is lost
+    try {
+      const jobs = await Promise.all([
+        emailQueue.enqueue("contact_notification", contactData, config.adminEmail),
+        emailQueue.enqueue("auto_reply", contactData, contact.email),
+      ])
+      await emailQueue.dispatch(jobs)
+    } catch (error) {
+      logger.error("Failed to queue emails", { contactId: contact._id, error })
+    }
+
+    try {
+      await followUps.scheduleFollowUps(contact, definition)
+    } catch (error) {
+      logger.error("Failed to schedule follow-ups", { contactId: contact._id, error })
+    }
+
+    await webhooks.trigger("contact.created", { contact: webhooks.serializeContact(contact) })
+  }
+
+  return { notifyNewContact }
+}
+
+module.exports = { buildContactData, createContactNotifier }
@@ -0,0 +1,164 @@
+const Contact = require("../models/Contact")
+const FollowUp = require("../models/FollowUp")
+const defaultEmailQueue = require("../utils/emailQueue")
+const { signLinkToken } = require("../utils/linkTokens")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000 // reclaim steps left "sending" by a crashed worker
+const BATCH_SIZE = 100 // keeps a single run short enough for a serverless invocation
+const POLL_INTERVAL_MS = config.followUps.intervalMs
+
+let workerTimer = null
+let currentPass = null
+
+// Public link that unsubscribes a contact from follow-ups (see routes/unsubscribe). The token never expires,
+// so links in old emails keep working.
+function unsubscribeUrl(contactId) {
+  return `${config.apiUrl}/api/unsubscribe?token=${signLinkToken("unsubscribe", contactId)}`
+}
+
+// Schedules the form's follow-up sequence (definition.followUps) for a new lead. Steps are stored in
+// MongoDB, so they survive restarts; a contact gets each step once, even if it's notified again.
+async function scheduleFollowUps(contact, definition) {
+  const steps = definition?.followUps || []
+  if (steps.length === 0) return []
+
+  const from = contact.submittedAt ? new Date(contact.submittedAt).getTime() : Date.now()
+  const followUps = steps.map((step, index) => ({
+    contact: contact._id,
+    formType: contact.formType,
+    step: index,
+    template: step.template,
+    dueAt: new Date(from + step.afterDays * DAY_MS),
+  }))
+
+  try {
+    return await FollowUp.insertMany(followUps, { ordered: false })
+  } catch (error) {
+    // Steps already scheduled for this contact
+    if (error.code === 11000) return error.insertedDocs || []
+    throw error
+  }
+}
+
+// Cancels a contact's pending steps, e.g. when the lead is contacted or unsubscribes
+async function cancelFollowUps(contactId, reason) {
+  const result = await FollowUp.updateMany(
+    { contact: contactId, status: "pending" },
+    { status: "cancelled", cancelReason: reason },
+  )
+  return result.modifiedCount
+}
+
+// Why a step must not be sent to the contact, if any
+function cancelReasonFor(contact) {
+  if (!contact) return "contact deleted"
+  if (contact.anonymizedAt) return "contact anonymized"
+  if (contact.unsubscribedAt) return "unsubscribed"
+  if (contact.status !== "new") return `status: ${contact.status}`
+  return null
+}
+
+// Atomically takes one due step so two workers never send the same email
+function claimNext() {
+  const now = new Date()
+  return FollowUp.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", dueAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { status: "sending", lockedAt: now },
+    { new: true, sort: { dueAt: 1 } },
+  )
+}
+
+// Sends the steps that are due through the email outbox. A step is cancelled instead when its lead has
+// moved past "new", unsubscribed or been erased; the rest of that contact's sequence is cancelled with it.
+async function processDueFollowUps({ emailQueue = defaultEmailQueue, limit = BATCH_SIZE } = {}) {
+  const jobs = []
+  let processed = 0
+
+  for (; processed < limit; processed++) {
+    const followUp = await claimNext()
+    if (!followUp) break
+
+    try {
+      const contact = await Contact.findById(followUp.contact)
+      const reason = cancelReasonFor(contact)
+      if (reason) {
+        followUp.set({ status: "cancelled", cancelReason: reason, lockedAt: undefined })
+        await followUp.save()
+        await cancelFollowUps(followUp.contact, reason)
+        continue
+      }
+
+      // Keyed by step: if this pass fails before the step is saved, the retry finds the same email
+      const job = await emailQueue.enqueue(
+        "follow_up",
+        {
+          contactId: contact._id,
+          name: contact.name,
+          email: contact.email,
+          locale: contact.locale,
+          formType: contact.formType,
+          template: followUp.template,
+          unsubscribeUrl: unsubscribeUrl(contact._id),
+        },
+        contact.email,
+        { key: `follow_up:${followUp._id}` },
+      )
+      jobs.push(job)
+
+      followUp.set({ status: "sent", sentAt: new Date(), outboxEmail: job._id, lockedAt: undefined })
+      await followUp.save()
+      contact.activity.push({ type: "follow_up_sent", details: followUp.template })
+      await contact.save()
+    } catch (error) {
+      // Left "sending"; retried once the lock times out
+      logger.error("Error sending follow-up", { followUpId: followUp._id, error })
+    }
+  }
+
+  if (jobs.length > 0) {
+    await emailQueue.dispatch(jobs)
+    logger.info("Follow-ups queued", { count: jobs.length })
+  }
+  return processed
+}
+
+// Sends due steps periodically on long-running hosts. On Vercel the cron route does this instead.
+function startWorker() {
+  if (workerTimer) return
+
+  workerTimer = setInterval(() => {
+    if (currentPass) return
+    currentPass = processDueFollowUps()
+      .catch((error) => logger.error("Follow-up worker error", { error }))
+      .finally(() => {
+        currentPass = null
+      })
+  }, POLL_INTERVAL_MS)
+  workerTimer.unref()
+
+  logger.info("Follow-up worker started", { intervalMs: POLL_INTERVAL_MS })
+}
+
+// Stops polling; resolves once a pass that is already running has finished
+function stopWorker() {
+  clearInterval(workerTimer)
+  workerTimer = null
+  return currentPass || Promise.resolve()
+}
+
+module.exports = {
+  unsubscribeUrl,
+  scheduleFollowUps,
+  cancelFollowUps,
+  processDueFollowUps,
+  startWorker,
+  stopWorker,
+}
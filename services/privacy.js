@@ -0,0 +1,164 @@
+const crypto = require("crypto")
+const Contact = require("../models/Contact")
+const OutboxEmail = require("../models/OutboxEmail")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const PrivacyAudit = require("../models/PrivacyAudit")
+const FollowUp = require("../models/FollowUp")
+const Booking = require("../models/Booking")
+const { removeAttachments } = require("../utils/attachments")
+const logger = require("../utils/logger")
+
+// Stand-ins for the required fields of an anonymized contact. The email is unique per contact
+// and uses a reserved domain, so it never matches a real person or receives mail.
+const ANONYMIZED_NAME = "Anonymized"
+const ANONYMIZED_PHONE = "+10000000000"
+const anonymizedEmail = (contact) => `anonymized-${contact._id}@anonymized.invalid`
+// Cleared on anonymization. Lost and spam reasons are free text that can quote the person.
+const PERSONAL_FIELDS = [
+  "phoneCountry",
+  "message",
+  "customFields",
+  "ipAddress",
+  "userAgent",
+  "lostReason",
+  "spamReason",
+]
+
+function hashIdentifier(value) {
+  return value ? crypto.createHash("sha256").update(value).digest("hex") : undefined
+}
+
+// A data subject is identified by an email and/or a phone number, normalized the way
+// submissions are stored (see routes/adminPrivacy for the validators)
+function contactFilter({ email, phone }) {
+  const conditions = []
+  if (email) conditions.push({ email })
+  if (phone) conditions.push({ phone })
+  return { $or: conditions }
+}
+
+// Outbox emails and webhook deliveries carry copies of a contact's details. Erasure requests
+// match them by the person's identifiers; retention only by contact id, so records about a newer
+// lead from the same person are kept.
+function relatedFilters({ email, phone, contactIds = [] }) {
+  const ids = contactIds.map((id) => id.toString())
+  const outbox = [{ "payload.contactId": { $in: contactIds } }]
+  const deliveries = [{ "payload.data.contact.id": { $in: ids } }]
+  if (email) {
+    outbox.push({ to: email }, { "payload.email": email })
+    deliveries.push({ "payload.data.contact.email": email })
+  }
+  if (phone) {
+    outbox.push({ "payload.phone": phone })
+    deliveries.push({ "payload.data.contact.phone": phone })
+  }
+  return { outbox: { $or: outbox }, deliveries: { $or: deliveries } }
+}
+
+// Every record held about a person
+async function findSubjectData(subject) {
+  const contacts = await Contact.find(contactFilter(subject)).sort({ submittedAt: -1 }).select("-__v")
+  const contactIds = contacts.map((contact) => contact._id)
+  const filters = relatedFilters({ ...subject, contactIds })
+  const [outboxEmails, webhookDeliveries, bookings] = await Promise.all([
+    OutboxEmail.find(filters.outbox).sort({ createdAt: -1 }).select("-__v"),
+    WebhookDelivery.find(filters.deliveries).sort({ createdAt: -1 }).select("-__v"),
+    Booking.find({ contact: { $in: contactIds } }).sort({ startsAt: -1 }).select("-__v"),
+  ])
+  return { contacts, outboxEmails, webhookDeliveries, bookings }
+}
+
+// Removes the personal data from a contact but keeps the lead itself (status, form, dates, campaign),
+// so stats and reports stay correct
+function anonymizeContact(contact, { actor, reason } = {}) {
+  contact.name = ANONYMIZED_NAME
+  contact.email = anonymizedEmail(contact)
+  contact.phone = ANONYMIZED_PHONE
+  for (const field of PERSONAL_FIELDS) {
+    contact.set(field, undefined)
+  }
+  // Click ids and referrers can identify a visitor; UTM parameters and the landing path only describe the campaign
+  for (const field of ["gclid", "fbclid", "referrer"]) {
+    contact.set(`attribution.${field}`, undefined)
+  }
+  contact.notes = []
+  contact.attachments = []
+  for (const entry of contact.activity) {
+    entry.details = undefined
+  }
+  contact.resubmissions = contact.resubmissions.map(({ formType, consent, submittedAt }) => ({
+    formType,
+    consent,
+    submittedAt,
+  }))
+  contact.anonymizedAt = new Date()
+  contact.activity.push({ type: "anonymized", details: reason, actor })
+  return contact.save()
+}
+
+// Anonymizes or deletes contacts, then removes the outbox emails, webhook deliveries, follow-up
+// steps and booked calls that still hold their data. mode is "anonymize" or "delete". Uploaded
+// files are removed either way.
+async function eraseContacts(contacts, { mode, subject = {}, actor, reason }) {
+  const contactIds = contacts.map((contact) => contact._id)
+  const filters = relatedFilters({ ...subject, contactIds })
+  const attachments = contacts.flatMap((contact) => contact.attachments)
+
+  await removeAttachments(attachments)
+
+  if (mode === "delete") {
+    await Contact.deleteMany({ _id: { $in: contactIds } })
+  } else {
+    for (const contact of contacts) {
+      await anonymizeContact(contact, { actor, reason })
+    }
+  }
+
+  const [outbox, deliveries, steps, calls] = await Promise.all([
+    OutboxEmail.deleteMany(filters.outbox),
+    WebhookDelivery.deleteMany(filters.deliveries),
+    FollowUp.deleteMany({ contact: { $in: contactIds } }),
+    Booking.deleteMany({ contact: { $in: contactIds } }),
+  ])
+
+  return {
+    contactIds,
+    counts: {
+      contacts: contacts.length,
+      attachments: attachments.length,
+      outboxEmails: outbox.deletedCount,
+      webhookDeliveries: deliveries.deletedCount,
+      followUps: steps.deletedCount,
+      bookings: calls.deletedCount,
+    },
+  }
+}
+
+// Erasure request for one person: every matching contact is anonymized or deleted
+async function eraseSubject(subject, { mode, actor, reason }) {
+  const contacts = await Contact.find(contactFilter(subject))
+  return eraseContacts(contacts, { mode, subject, actor, reason })
+}
+
+// Adds an entry to the privacy audit trail. admin is the acting admin (req.admin), if any.
+function recordAudit({ action, admin, subject = {}, reason, contactIds, counts }) {
+  return PrivacyAudit.create({
+    action,
+    actor: admin?._id,
+    actorEmail: admin?.email,
+    subject: { emailHash: hashIdentifier(subject.email), phoneHash: hashIdentifier(subject.phone) },
+    reason,
+    contactIds,
+    counts,
+    requestId: logger.getRequestId(),
+  })
+}
+
+module.exports = {
+  hashIdentifier,
+  findSubjectData,
+  anonymizeContact,
+  eraseContacts,
+  eraseSubject,
+  recordAudit,
+}
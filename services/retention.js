@@ -0,0 +1,67 @@
+const Contact = require("../models/Contact")
+const privacy = require("./privacy")
+const logger = require("../utils/logger")
+const config = require("../config")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const BATCH_SIZE = 200 // keeps a single run short enough for a serverless invocation
+const POLL_INTERVAL_MS = config.privacy.retention.intervalMs
+
+let workerTimer = null
+let currentPass = null
+
+// Retention policy (RETENTION_DAYS, RETENTION_STATUSES, RETENTION_ACTION): leads closed as one of
+// the statuses, with no activity for that many days, are anonymized or deleted. Runs in batches
+// until nothing is left; each batch is one entry in the privacy audit trail.
+async function applyRetention({ now = Date.now() } = {}) {
+  const { days, statuses, action } = config.privacy.retention
+  if (days === 0) return { processed: 0 }
+
+  const cutoff = new Date(now - days * DAY_MS)
+  const filter = {
+    status: { $in: statuses },
+    anonymizedAt: { $exists: false },
+    submittedAt: { $lt: cutoff },
+    activity: { $not: { $elemMatch: { at: { $gte: cutoff } } } },
+  }
+  const reason = `Retention policy: ${statuses.join("/")} leads inactive for ${days} days`
+
+  let processed = 0
+  for (;;) {
+    const contacts = await Contact.find(filter).limit(BATCH_SIZE)
+    if (contacts.length === 0) break
+
+    const { contactIds, counts } = await privacy.eraseContacts(contacts, { mode: action, reason })
+    await privacy.recordAudit({ action: "retention", reason: `${reason} (${action})`, contactIds, counts })
+    processed += contacts.length
+  }
+
+  if (processed > 0) logger.info("Retention policy applied", { action, processed })
+  return { processed }
+}
+
+// Applies the policy periodically on long-running hosts. On Vercel the cron route does this instead.
+function startWorker() {
+  if (workerTimer || config.privacy.retention.days === 0) return
+
+  workerTimer = setInterval(() => {
+    if (currentPass) return
+    currentPass = applyRetention()
+      .catch((error) => logger.error("Retention worker error", { error }))
+      .finally(() => {
+        currentPass = null
+      })
+  }, POLL_INTERVAL_MS)
+  workerTimer.unref()
+
+  logger.info("Retention worker started", { intervalMs: POLL_INTERVAL_MS, days: config.privacy.retention.days })
+}
+
+// Stops polling; resolves once a pass that is already running has finished
+function stopWorker() {
+  clearInterval(workerTimer)
+  workerTimer = null
+  return currentPass || Promise.resolve()
+}
+
+module.exports = { applyRetention, startWorker, stopWorker }
@@ -0,0 +1,40 @@
+const createApp = require("../../app")
+const Admin = require("../../models/Admin")
+const { EmailService } = require("../../utils/emailService")
+const { createEmailQueue } = require("../../utils/emailQueue")
+const tokenService = require("../../utils/tokenService")
+
+// Mail transport that keeps every message in memory instead of sending it
+function createStubTransport() {
+  const sent = []
+  return {
+    name: "stub",
+    sent,
+    isConfigured: () => true,
+    async send(message) {
+      sent.push(message)
+      return { messageId: `stub-${sent.length}` }
+    },
+    async verify() {},
+  }
+}
+
+// The app as the entries build it, with a stub transport. Emails are delivered before the
+// response is sent (as on Vercel), so tests can assert on transport.sent straight away.
+function buildTestApp(overrides = {}) {
+  const transport = createStubTransport()
+  const emailService = new EmailService({ transport })
+  const emailQueue = createEmailQueue({ emailService, awaitDelivery: true })
+  const app = createApp({ emailService, emailQueue, ...overrides })
+  return { app, transport, emailService, emailQueue }
+}
+
+// An active admin and the bearer header for it
+async function createAdmin({ role = "owner", email = "owner@example.com" } = {}) {
+  const admin = new Admin({ email, name: "Test Admin", role })
+  await admin.setPassword("correct horse battery staple")
+  await admin.save()
+  return { admin, authorization: `Bearer ${tokenService.signAccessToken(admin)}` }
+}
+
+module.exports = { createStubTransport, buildTestApp, createAdmin }
@@ -0,0 +1,39 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const { MongoMemoryServer } = require("mongodb-memory-server")
+const formDefinitions = require("../../utils/formDefinitions")
+
+let server = null
+
+// Starts a throwaway MongoDB for the test file and seeds the default forms. With MONGODB_TEST_URI set,
+// the test file gets a database of its own on that server instead, dropped when it disconnects.
+async function connect() {
+  if (process.env.MONGODB_TEST_URI) {
+    await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: `landing-test-${crypto.randomUUID()}` })
+  } else {
+    server = await MongoMemoryServer.create()
+    await mongoose.connect(server.getUri())
+  }
+  await formDefinitions.ensureDefaultDefinitions()
+}
+
+// Empties every collection between tests, then restores the default forms
+async function clear() {
+  const collections = await mongoose.connection.db.collections()
+  await Promise.all(collections.map((collection) => collection.deleteMany({})))
+  formDefinitions.invalidateCache()
+  await formDefinitions.ensureDefaultDefinitions()
+}
+
+// Drops the test file's database on MONGODB_TEST_URI, but only if connect() got that far; otherwise
+// dropping would wait for mongoose's buffering timeout and hide why connect() failed
+async function disconnect() {
+  if (process.env.MONGODB_TEST_URI && mongoose.connection.readyState === mongoose.ConnectionStates.connected) {
+    await mongoose.connection.dropDatabase()
+  }
+  await mongoose.disconnect()
+  if (server) await server.stop()
+  server = null
+}
+
+module.exports = { connect, clear, disconnect }
@@ -0,0 +1,70 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Admin = require("../../models/Admin")
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("POST /api/admin/login", () => {
+  it("gives the same answer for an unknown email and a wrong password", async () => {
+    const { app } = buildTestApp()
+    const { admin } = await createAdmin()
+    const verifyMissingPassword = jest.spyOn(Admin, "verifyMissingPassword")
+
+    const unknown = await request(app)
+      .post("/api/admin/login")
+      .send({ email: "nobody@example.com", password: "correct horse battery staple" })
+      .expect(401)
+    const wrong = await request(app)
+      .post("/api/admin/login")
+      .send({ email: admin.email, password: "wrong password" })
+      .expect(401)
+
+    expect(unknown.body).toEqual(wrong.body)
+    // The unknown email still went through a bcrypt compare
+    expect(verifyMissingPassword).toHaveBeenCalledTimes(1)
+    verifyMissingPassword.mockRestore()
+  })
+})
+
+describe("POST /api/admin/refresh", () => {
+  it("exchanges a refresh token only once, even for concurrent requests", async () => {
+    const { app } = buildTestApp()
+    const { admin } = await createAdmin()
+    const login = await request(app)
+      .post("/api/admin/login")
+      .send({ email: admin.email, password: "correct horse battery staple" })
+      .expect(200)
+    const { refreshToken } = login.body.data
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() => request(app).post("/api/admin/refresh").send({ refreshToken })),
+    )
+
+    expect(results.map((res) => res.status).sort()).toEqual([200, 401, 401])
+  })
+})
+
+describe("PATCH /api/admin/users/:id/role", () => {
+  it("never leaves no active owner, even when two owners demote each other at once", async () => {
+    const { app } = buildTestApp()
+    const first = await createAdmin({ email: "first.owner@example.com" })
+    const second = await createAdmin({ email: "second.owner@example.com" })
+
+    const results = await Promise.all([
+      request(app)
+        .patch(`/api/admin/users/${second.admin._id}/role`)
+        .set("Authorization", first.authorization)
+        .send({ role: "manager" }),
+      request(app)
+        .patch(`/api/admin/users/${first.admin._id}/role`)
+        .set("Authorization", second.authorization)
+        .send({ role: "manager" }),
+    ])
+
+    expect(results.filter((res) => res.status === 200).length).toBeLessThanOrEqual(1)
+    expect(await Admin.countDocuments({ role: "owner", active: true })).toBeGreaterThanOrEqual(1)
+  })
+})
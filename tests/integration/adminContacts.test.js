@@ -0,0 +1,128 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Contact = require("../../models/Contact")
+
+function createContact(overrides = {}) {
+  return Contact.create({
+    name: "Rohan Mehta",
+    email: "rohan.mehta@example.com",
+    phone: "+919812345678",
+    phoneCountry: "IN",
+    message: "Looking for help migrating our store to Shopify.",
+    formType: "final",
+    activity: [{ type: "created" }],
+    ...overrides,
+  })
+}
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("/api/contacts", () => {
+  it("requires an admin token", async () => {
+    const { app } = buildTestApp()
+
+    await request(app).get("/api/contacts").expect(401)
+  })
+
+  it("enforces role permissions", async () => {
+    const { app } = buildTestApp()
+    const contact = await createContact()
+    const { authorization } = await createAdmin({ role: "sales-viewer", email: "viewer@example.com" })
+
+    await request(app).get("/api/contacts").set("Authorization", authorization).expect(200)
+    await request(app).delete(`/api/contacts/${contact._id}`).set("Authorization", authorization).expect(403)
+  })
+
+  it("lists and filters contacts", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await createContact()
+    await createContact({ email: "lost@example.com", status: "lost", lostReason: "Budget too low" })
+
+    const res = await request(app).get("/api/contacts?status=lost").set("Authorization", authorization).expect(200)
+
+    expect(res.body.data.map((contact) => contact.email)).toEqual(["lost@example.com"])
+  })
+
+  it("includes the whole last day when to is a date without a time", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await createContact({ submittedAt: new Date("2024-05-31T18:30:00Z") })
+    await createContact({ email: "june@example.com", submittedAt: new Date("2024-06-01T00:00:00Z") })
+
+    const res = await request(app)
+      .get("/api/contacts?from=2024-05-01&to=2024-05-31")
+      .set("Authorization", authorization)
+      .expect(200)
+
+    expect(res.body.data.map((contact) => contact.email)).toEqual(["rohan.mehta@example.com"])
+  })
+
+  it("records status changes and notes in the activity log", async () => {
+    const { app } = buildTestApp()
+    const { admin, authorization } = await createAdmin()
+    const contact = await createContact()
+
+    await request(app)
+      .patch(`/api/contacts/${contact._id}/status`)
+      .set("Authorization", authorization)
+      .send({ status: "contacted" })
+      .expect(200)
+    await request(app)
+      .post(`/api/contacts/${contact._id}/notes`)
+      .set("Authorization", authorization)
+      .send({ body: "Called, wants a proposal by Friday" })
+      .expect(201)
+
+    const updated = await Contact.findById(contact._id)
+    expect(updated.status).toBe("contacted")
+    expect(updated.notes[0].body).toBe("Called, wants a proposal by Friday")
+    expect(updated.activity.map((entry) => entry.type)).toEqual(["created", "status_changed", "note_added"])
+    expect(updated.activity[1].actor.toString()).toBe(admin._id.toString())
+  })
+
+  it("releases a contact wrongly flagged as spam and sends the held-back emails", async () => {
+    const { app, transport } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const contact = await createContact({ status: "spam", spamReason: "Message contains 3 links" })
+
+    await request(app).post(`/api/contacts/${contact._id}/not-spam`).set("Authorization", authorization).expect(200)
+
+    expect((await Contact.findById(contact._id)).status).toBe("new")
+    expect(transport.sent.map((message) => message.to)).toContain("rohan.mehta@example.com")
+  })
+
+  it("deletes contacts", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const contact = await createContact()
+
+    await request(app).delete(`/api/contacts/${contact._id}`).set("Authorization", authorization).expect(200)
+    await request(app).get(`/api/contacts/${contact._id}`).set("Authorization", authorization).expect(404)
+    await request(app).delete("/api/contacts/not-an-id").set("Authorization", authorization).expect(400)
+  })
+})
+
+describe("GET /api/admin/stats", () => {
+  it("counts the same leads as the contacts list for a date-only range", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await createContact({ submittedAt: new Date("2024-05-31T18:30:00Z") })
+    await createContact({ email: "june@example.com", submittedAt: new Date("2024-06-01T00:00:00Z") })
+
+    const stats = await request(app)
+      .get("/api/admin/stats?from=2024-05-01&to=2024-05-31")
+      .set("Authorization", authorization)
+      .expect(200)
+    const contacts = await request(app)
+      .get("/api/contacts?from=2024-05-01&to=2024-05-31")
+      .set("Authorization", authorization)
+      .expect(200)
+
+    expect(stats.body.data.total).toBe(1)
+    expect(stats.body.data.total).toBe(contacts.body.pagination.total)
+  })
+})
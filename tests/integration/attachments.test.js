@@ -0,0 +1,136 @@
+const fs = require("fs")
+const path = require("path")
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Contact = require("../../models/Contact")
+const config = require("../../config")
+
+const PDF = Buffer.concat([Buffer.from("%PDF-1.7\n"), Buffer.alloc(2048, 0x20)])
+const uploadDir = path.resolve(config.storage.local.dir)
+
+// A multipart submission with the given files ([content, filename, contentType])
+function submitWithFiles(app, files) {
+  let req = request(app)
+    .post("/api/contact")
+    .field("name", "Kavya Nair")
+    .field("email", "kavya.nair@example.com")
+    .field("phone", "98450 12345")
+    .field("message", "Brief and mockups for our new store are attached.")
+    .field("formType", "hero")
+    .field("consent", "on")
+  for (const [content, filename, contentType] of files) {
+    req = req.attach("attachments", content, { filename, contentType })
+  }
+  return req
+}
+
+beforeAll(db.connect)
+afterEach(async () => {
+  await db.clear()
+  fs.rmSync(uploadDir, { recursive: true, force: true })
+})
+afterAll(db.disconnect)
+
+describe("attachments on POST /api/contact", () => {
+  it("stores the files, links them on the contact and lists them in the notification", async () => {
+    const { app, transport } = buildTestApp()
+
+    const res = await submitWithFiles(app, [[PDF, "store-brief.pdf", "application/pdf"]]).expect(201)
+
+    const contact = await Contact.findById(res.body.data.id)
+    expect(contact.attachments).toHaveLength(1)
+    expect(contact.attachments[0]).toMatchObject({
+      filename: "store-brief.pdf",
+      contentType: "application/pdf",
+      size: PDF.length,
+      storage: "local",
+    })
+    expect(fs.readFileSync(path.join(uploadDir, contact.attachments[0].key))).toEqual(PDF)
+
+    const notification = transport.sent.find((message) => message.to === config.adminEmail)
+    expect(notification.text).toContain("store-brief.pdf")
+  })
+
+  it("removes the stored files when a repeat submission can't be saved", async () => {
+    const { app } = buildTestApp()
+    await submitWithFiles(app, [[PDF, "store-brief.pdf", "application/pdf"]]).expect(201)
+    const storedFiles = () =>
+      fs.readdirSync(uploadDir, { recursive: true }).filter((file) => fs.statSync(path.join(uploadDir, file)).isFile())
+    expect(storedFiles()).toHaveLength(1)
+
+    const save = jest.spyOn(Contact.prototype, "save").mockRejectedValueOnce(new Error("write conflict"))
+    await submitWithFiles(app, [[PDF, "mockups.pdf", "application/pdf"]]).expect(500)
+    save.mockRestore()
+
+    expect(storedFiles()).toHaveLength(1)
+    expect((await Contact.findOne()).attachments.map((file) => file.filename)).toEqual(["store-brief.pdf"])
+  })
+
+  it("refuses files whose content doesn't match their type", async () => {
+    const { app } = buildTestApp()
+
+    const res = await submitWithFiles(app, [[Buffer.from("<script>alert(1)</script>"), "theme.png", "image/png"]])
+      .expect(400)
+
+    expect(res.body.errors[0].path).toBe("attachments")
+    expect(await Contact.countDocuments()).toBe(0)
+  })
+
+  it("refuses types that aren't allowed and too many files", async () => {
+    const { app } = buildTestApp()
+
+    await submitWithFiles(app, [[Buffer.from("plain text"), "notes.txt", "text/plain"]]).expect(400)
+
+    const tooMany = Array.from({ length: config.attachments.maxFiles + 1 }, (_, index) => [
+      PDF,
+      `brief-${index}.pdf`,
+      "application/pdf",
+    ])
+    await submitWithFiles(app, tooMany).expect(400)
+    expect(await Contact.countDocuments()).toBe(0)
+  })
+})
+
+describe("GET /api/contacts/:id/attachments/:attachmentId", () => {
+  it("downloads the file for admins only", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin({ role: "sales-viewer" })
+    const res = await submitWithFiles(app, [[PDF, "store-brief.pdf", "application/pdf"]]).expect(201)
+    const contact = await Contact.findById(res.body.data.id)
+    const url = `/api/contacts/${contact._id}/attachments/${contact.attachments[0]._id}`
+
+    await request(app).get(url).expect(401)
+    const download = await request(app).get(url).set("Authorization", authorization).responseType("blob").expect(200)
+
+    expect(download.headers["content-type"]).toBe("application/pdf")
+    expect(download.headers["content-disposition"]).toContain("store-brief.pdf")
+    expect(download.body).toEqual(PDF)
+  })
+
+  it("reads files through the driver they were stored with after STORAGE_DRIVER changes", async () => {
+    const { app } = buildTestApp()
+    const res = await submitWithFiles(app, [[PDF, "store-brief.pdf", "application/pdf"]]).expect(201)
+    const [attachment] = (await Contact.findById(res.body.data.id)).attachments
+
+    let openAttachment
+    jest.isolateModules(() => {
+      require("../../config").storage.driver = "s3"
+      openAttachment = require("../../utils/attachments").openAttachment
+    })
+    const stream = await openAttachment(attachment)
+
+    expect(Buffer.concat(await stream.toArray())).toEqual(PDF)
+  })
+
+  it("removes the files when the contact is deleted", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const res = await submitWithFiles(app, [[PDF, "store-brief.pdf", "application/pdf"]]).expect(201)
+    const contact = await Contact.findById(res.body.data.id)
+
+    await request(app).delete(`/api/contacts/${contact._id}`).set("Authorization", authorization).expect(200)
+
+    expect(fs.existsSync(path.join(uploadDir, contact.attachments[0].key))).toBe(false)
+  })
+})
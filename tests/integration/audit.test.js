@@ -0,0 +1,131 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Contact = require("../../models/Contact")
+const AuditEntry = require("../../models/AuditEntry")
+const WebhookSubscription = require("../../models/WebhookSubscription")
+
+function createContact() {
+  return Contact.create({
+    name: "Arjun Mehta",
+    email: "arjun.mehta@example.com",
+    phone: "+919876501234",
+    formType: "hero",
+    consent: { given: true, policyVersion: "1.0" },
+    activity: [{ type: "created" }],
+  })
+}
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("admin audit log", () => {
+  it("records the actor, target and before/after values of a change", async () => {
+    const { app } = buildTestApp()
+    const { admin, authorization } = await createAdmin({ role: "manager" })
+    const contact = await createContact()
+
+    await request(app)
+      .patch(`/api/contacts/${contact._id}/status`)
+      .set("Authorization", authorization)
+      .send({ status: "contacted" })
+      .expect(200)
+
+    const entry = await AuditEntry.findOne({ action: "PATCH /api/contacts/:id/status" })
+    expect(entry.actor.toString()).toBe(admin._id.toString())
+    expect(entry.actorEmail).toBe(admin.email)
+    expect(entry.targetType).toBe("contact")
+    expect(entry.targetId).toBe(contact._id.toString())
+    expect(entry.before).toEqual({ status: "new" })
+    expect(entry.after).toEqual({ status: "contacted" })
+    expect(entry.statusCode).toBe(200)
+    expect(entry.ipAddress).toBeTruthy()
+    expect(entry.at).toBeInstanceOf(Date)
+  })
+
+  it("records reads, denied requests and logins, but not unauthenticated requests", async () => {
+    const { app } = buildTestApp()
+    const { admin, authorization } = await createAdmin({ role: "sales-viewer" })
+
+    await request(app).get("/api/contacts?q=arjun.mehta@example.com").set("Authorization", authorization).expect(200)
+    await request(app).get("/api/contacts?q=Arjun%20Mehta").set("Authorization", authorization).expect(200)
+    await request(app).delete("/api/contacts/64b000000000000000000000").set("Authorization", authorization).expect(403)
+    await request(app).get("/api/contacts").expect(401)
+    await request(app)
+      .post("/api/admin/login")
+      .send({ email: admin.email, password: "correct horse battery staple" })
+      .expect(200)
+
+    const entries = await AuditEntry.find()
+    const byAction = Object.fromEntries(entries.map((entry) => [entry.action, entry]))
+    const searches = entries.filter((entry) => entry.action === "GET /api/contacts")
+    expect(entries).toHaveLength(4)
+    expect(searches.map((entry) => entry.statusCode)).toEqual([200, 200])
+    expect(searches.map((entry) => entry.query)).toEqual([{ q: "[search]" }, { q: "[search]" }])
+    expect(byAction["DELETE /api/contacts/:id"].statusCode).toBe(403)
+    expect(byAction["POST /api/admin/login"].actor.toString()).toBe(admin._id.toString())
+  })
+
+  it("records webhook secret rotations without the secret", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const subscription = await WebhookSubscription.create({
+      url: "https://hooks.example.com/leads",
+      events: ["contact.created"],
+      secret: "old-secret",
+    })
+
+    const res = await request(app)
+      .post(`/api/admin/webhooks/${subscription._id}/rotate-secret`)
+      .set("Authorization", authorization)
+      .expect(200)
+
+    const entry = await AuditEntry.findOne({ action: "POST /api/admin/webhooks/:id/rotate-secret" })
+    expect(entry).toMatchObject({ targetType: "webhook", targetId: subscription._id.toString() })
+    expect(entry.after).toEqual({ secret: "[redacted]" })
+    expect(JSON.stringify(entry)).not.toContain(res.body.data.secret)
+  })
+
+  it("does not let entries be changed or deleted", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await request(app).get("/api/admin/me").set("Authorization", authorization).expect(200)
+
+    const entry = await AuditEntry.findOne()
+    await expect(AuditEntry.updateOne({ _id: entry._id }, { statusCode: 500 })).rejects.toThrow("append-only")
+    await expect(AuditEntry.deleteMany({})).rejects.toThrow("append-only")
+    entry.statusCode = 500
+    await expect(entry.save()).rejects.toThrow("append-only")
+
+    await request(app).delete(`/api/admin/audit/${entry._id}`).set("Authorization", authorization).expect(404)
+    expect(await AuditEntry.countDocuments({ statusCode: 500 })).toBe(0)
+  })
+})
+
+describe("GET /api/admin/audit", () => {
+  it("filters entries by target", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const contact = await createContact()
+
+    await request(app).get(`/api/contacts/${contact._id}`).set("Authorization", authorization).expect(200)
+    await request(app).get("/api/admin/me").set("Authorization", authorization).expect(200)
+
+    const res = await request(app)
+      .get(`/api/admin/audit?targetId=${contact._id}`)
+      .set("Authorization", authorization)
+      .expect(200)
+
+    expect(res.body.data).toHaveLength(1)
+    expect(res.body.data[0].action).toBe("GET /api/contacts/:id")
+    expect(res.body.pagination.total).toBe(1)
+  })
+
+  it("is owner only", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin({ role: "manager" })
+
+    await request(app).get("/api/admin/audit").set("Authorization", authorization).expect(403)
+  })
+})
@@ -0,0 +1,175 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Booking = require("../../models/Booking")
+const Contact = require("../../models/Contact")
+const config = require("../../config")
+
+const submission = (overrides = {}) => ({
+  name: "Ananya Rao",
+  email: "ananya.rao@example.com",
+  phone: "99001 23456",
+  message: "We'd like to discuss a store migration.",
+  formType: "hero",
+  consent: true,
+  ...overrides,
+})
+
+// Open every day from 09:00 to 18:00 IST, bookable right away
+async function openAvailability(app, authorization) {
+  await request(app)
+    .put("/api/admin/bookings/availability")
+    .set("Authorization", authorization)
+    .send({
+      minNoticeHours: 0,
+      weeklyHours: [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, start: "09:00", end: "18:00" })),
+    })
+    .expect(200)
+}
+
+async function enquire(app, overrides) {
+  const res = await request(app).post("/api/contact").send(submission(overrides)).expect(201)
+  return res.body.data
+}
+
+const tokenFrom = (message, action) => message.text.match(new RegExp(`/booking/${action}\\?token=(\\S+)`))[1]
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("consultation booking", () => {
+  it("books a free slot for the contact and emails a calendar invite", async () => {
+    const { app, transport } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await openAvailability(app, authorization)
+    const { id, bookingToken } = await enquire(app)
+
+    const slots = await request(app).get("/api/slots").expect(200)
+    expect(slots.body.data.timezone).toBe("Asia/Kolkata")
+    const [slot] = slots.body.data.slots
+    transport.sent.length = 0
+
+    const res = await request(app)
+      .post("/api/bookings")
+      .send({ token: bookingToken, startsAt: slot.startsAt, notes: "Migration from WooCommerce" })
+      .expect(201)
+
+    expect(res.body.data).toMatchObject({ startsAt: slot.startsAt, endsAt: slot.endsAt, status: "confirmed" })
+    const booking = await Booking.findById(res.body.data.id)
+    expect(booking.contact.toString()).toBe(id)
+
+    const [confirmation] = transport.sent
+    expect(confirmation.to).toBe("ananya.rao@example.com")
+    expect(confirmation.attachments[0].filename).toBe("invite.ics")
+    expect(confirmation.attachments[0].content).toContain("METHOD:REQUEST")
+
+    const contact = await Contact.findById(id)
+    expect(contact.activity.map((entry) => entry.type)).toContain("booking_created")
+
+    // The slot is no longer offered
+    const after = await request(app).get("/api/slots").expect(200)
+    expect(after.body.data.slots.map((free) => free.startsAt)).not.toContain(slot.startsAt)
+  })
+
+  it("refuses a slot that is already booked", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await openAvailability(app, authorization)
+    const first = await enquire(app)
+    const second = await enquire(app, { email: "vikram@example.com", phone: "99001 65432", name: "Vikram Das" })
+    const [slot] = (await request(app).get("/api/slots")).body.data.slots
+
+    const results = await Promise.all(
+      [first, second].map(({ bookingToken }) =>
+        request(app).post("/api/bookings").send({ token: bookingToken, startsAt: slot.startsAt }),
+      ),
+    )
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 409])
+    expect(await Booking.countDocuments({ status: "confirmed" })).toBe(1)
+  })
+
+  it("refuses times that aren't slots and invalid tokens", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await openAvailability(app, authorization)
+    const { bookingToken } = await enquire(app)
+    const [slot] = (await request(app).get("/api/slots")).body.data.slots
+    const offGrid = new Date(Date.parse(slot.startsAt) + 7 * 60 * 1000).toISOString()
+
+    await request(app).post("/api/bookings").send({ token: bookingToken, startsAt: offGrid }).expect(400)
+    await request(app).post("/api/bookings").send({ token: "not-a-token", startsAt: slot.startsAt }).expect(401)
+  })
+
+  it("doesn't let spam hold slots", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await openAvailability(app, authorization)
+    const flagged = await enquire(app, { [config.spam.honeypotField]: "https://spam.example" })
+    expect(flagged.bookingToken).toBeUndefined()
+
+    // Flagged after the token was issued
+    const { id, bookingToken } = await enquire(app)
+    await Contact.updateOne({ _id: id }, { status: "spam" })
+    const [slot] = (await request(app).get("/api/slots")).body.data.slots
+
+    await request(app).post("/api/bookings").send({ token: bookingToken, startsAt: slot.startsAt }).expect(403)
+    expect(await Booking.countDocuments()).toBe(0)
+  })
+
+  it("reschedules and cancels through the links in the confirmation email", async () => {
+    const { app, transport } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await openAvailability(app, authorization)
+    const { bookingToken } = await enquire(app)
+    const [first, second] = (await request(app).get("/api/slots")).body.data.slots
+    transport.sent.length = 0
+
+    await request(app).post("/api/bookings").send({ token: bookingToken, startsAt: first.startsAt }).expect(201)
+    const confirmation = transport.sent[0]
+
+    const moved = await request(app)
+      .post("/api/bookings/reschedule")
+      .send({ token: tokenFrom(confirmation, "reschedule"), startsAt: second.startsAt })
+      .expect(200)
+    expect(moved.body.data.startsAt).toBe(second.startsAt)
+    expect(transport.sent[1].attachments[0].content).toContain("SEQUENCE:1")
+
+    // A reschedule token doesn't cancel
+    await request(app).post("/api/bookings/cancel").send({ token: tokenFrom(confirmation, "reschedule") }).expect(401)
+
+    const cancelled = await request(app)
+      .post("/api/bookings/cancel")
+      .send({ token: tokenFrom(confirmation, "cancel"), reason: "Found a partner" })
+      .expect(200)
+    expect(cancelled.body.data.status).toBe("cancelled")
+    expect(transport.sent[2].attachments[0].content).toContain("METHOD:CANCEL")
+
+    // Both slots are free again
+    const slots = (await request(app).get("/api/slots")).body.data.slots.map((slot) => slot.startsAt)
+    expect(slots).toEqual(expect.arrayContaining([first.startsAt, second.startsAt]))
+  })
+})
+
+describe("/api/admin/bookings/availability", () => {
+  it("validates weekly hours and blackouts", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+
+    const res = await request(app)
+      .put("/api/admin/bookings/availability")
+      .set("Authorization", authorization)
+      .send({ weeklyHours: [{ day: 1, start: "18:00", end: "09:00" }], blackouts: [{ from: "2026-02-30" }] })
+      .expect(400)
+
+    expect(res.body.errors.map((error) => error.path).sort()).toEqual(["blackouts.0.from", "weeklyHours.0.end"])
+  })
+
+  it("is not available to sales viewers", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin({ role: "sales-viewer", email: "viewer@example.com" })
+
+    await request(app).get("/api/admin/bookings/availability").set("Authorization", authorization).expect(403)
+  })
+})
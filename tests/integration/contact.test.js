@@ -0,0 +1,208 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin, createStubTransport } = require("../helpers/app")
+const Contact = require("../../models/Contact")
+const OutboxEmail = require("../../models/OutboxEmail")
+const { EmailService } = require("../../utils/emailService")
+const { createEmailQueue } = require("../../utils/emailQueue")
+const { createEmailDomainCheck } = require("../../utils/emailDomain")
+const config = require("../../config")
+
+const submission = (overrides = {}) => ({
+  name: "Priya Sharma",
+  email: "priya.sharma@example.com",
+  phone: "98765 43210",
+  message: "We need a new Shopify theme before the festive sale.",
+  formType: "hero",
+  consent: true,
+  ...overrides,
+})
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("POST /api/contact", () => {
+  it("stores a new lead and emails the team and the visitor", async () => {
+    const { app, transport } = buildTestApp()
+
+    const res = await request(app).post("/api/contact").send(submission()).expect(201)
+
+    expect(res.body.success).toBe(true)
+    const contact = await Contact.findById(res.body.data.id)
+    expect(contact).toMatchObject({ name: "Priya Sharma", phone: "+919876543210", phoneCountry: "IN", status: "new" })
+    expect(transport.sent.map((message) => message.to).sort()).toEqual(
+      [config.adminEmail, "priya.sharma@example.com"].sort(),
+    )
+  })
+
+  it("sends the form's own auto-reply when it has one", async () => {
+    const { app, transport } = buildTestApp()
+
+    await request(app).post("/api/contact").send(submission({ formType: "final" })).expect(201)
+    await request(app)
+      .post("/api/contact")
+      .send(submission({ formType: "final", email: "rohan@example.com", phone: "98765 01234", locale: "hi" }))
+      .expect(201)
+
+    // auto-reply/en.final.* for the final form; Hindi has no final variant, so the Hindi auto-reply is used
+    const subject = (email) => transport.sent.find((message) => message.to === email).subject
+    expect(subject("priya.sharma@example.com")).toBe(`Next steps for your Shopify project with ${config.company.name}`)
+    expect(subject("rohan@example.com")).toBe(`${config.company.name} से संपर्क करने के लिए धन्यवाद`)
+  })
+
+  it("keeps the new-lead emails in the outbox while the mail transport isn't configured", async () => {
+    const emailService = new EmailService({ transport: { ...createStubTransport(), isConfigured: () => false } })
+    const emailQueue = createEmailQueue({ emailService, awaitDelivery: true })
+    const { app } = buildTestApp({ emailService, emailQueue })
+
+    await request(app).post("/api/contact").send(submission()).expect(201)
+
+    const queued = await OutboxEmail.find().sort({ kind: 1 })
+    expect(queued.map((email) => [email.kind, email.status])).toEqual([
+      ["auto_reply", "pending"],
+      ["contact_notification", "pending"],
+    ])
+    expect(queued[0].lastError).toBe("Email service not configured")
+  })
+
+  it("reports every invalid field", async () => {
+    const { app, transport } = buildTestApp()
+
+    const res = await request(app)
+      .post("/api/contact")
+      .send(submission({ name: "P", email: "not-an-email", phone: "123" }))
+      .expect(400)
+
+    expect(res.body.errors.map((error) => error.path).sort()).toEqual(["email", "name", "phone"])
+    expect(await Contact.countDocuments()).toBe(0)
+    expect(transport.sent).toHaveLength(0)
+  })
+
+  it("rejects unknown forms", async () => {
+    const { app } = buildTestApp()
+
+    await request(app).post("/api/contact").send(submission({ formType: "newsletter" })).expect(400)
+  })
+
+  it("keeps honeypot submissions for review without sending anything", async () => {
+    const { app, transport } = buildTestApp()
+
+    await request(app)
+      .post("/api/contact")
+      .send(submission({ [config.spam.honeypotField]: "https://spam.example" }))
+      .expect(201)
+
+    const contact = await Contact.findOne()
+    expect(contact.status).toBe("spam")
+    expect(transport.sent).toHaveLength(0)
+  })
+
+  it("turns the visitor away when the captcha verifier rejects the token", async () => {
+    const spamFilter = {
+      checks: ["captcha"],
+      captcha: { name: "stub" },
+      requiresCaptchaToken: () => true,
+      getHealth: () => ({ provider: "stub", status: "configured" }),
+      check: async ({ token }) =>
+        token === "valid"
+          ? { rejected: false, spam: false, reasons: [] }
+          : { rejected: true, spam: false, reasons: ["Captcha token is invalid"] },
+    }
+    const { app } = buildTestApp({ spamFilter })
+
+    await request(app).post("/api/contact").send(submission()).expect(400)
+    await request(app).post("/api/contact").send(submission({ captchaToken: "forged" })).expect(400)
+    await request(app).post("/api/contact").send(submission({ captchaToken: "valid" })).expect(201)
+    expect(await Contact.countDocuments()).toBe(1)
+  })
+
+  it("with the MX check on, accepts domains that receive mail at their address and rejects null MX", async () => {
+    const noData = () => Promise.reject(Object.assign(new Error("no data"), { code: "ENODATA" }))
+    const nullMx = [{ exchange: ".", priority: 0 }]
+    const emailDomainCheck = createEmailDomainCheck(
+      { mxCheck: true },
+      {
+        // example.com has no MX records but an A record; no-mail.example publishes a null MX
+        resolveMx: (domain) => (domain === "no-mail.example" ? Promise.resolve(nullMx) : noData()),
+        resolve4: () => Promise.resolve(["192.0.2.10"]),
+        resolve6: noData,
+      },
+    )
+    const { app } = buildTestApp({ emailDomainCheck })
+
+    await request(app).post("/api/contact").send(submission()).expect(201)
+    const res = await request(app)
+      .post("/api/contact")
+      .send(submission({ email: "rohan@no-mail.example", phone: "98765 01234" }))
+      .expect(400)
+    expect(res.body.errors.map((error) => error.path)).toEqual(["email"])
+  })
+
+  it("merges a repeat submission into the existing contact", async () => {
+    const { app } = buildTestApp()
+
+    await request(app).post("/api/contact").send(submission()).expect(201)
+    const res = await request(app)
+      .post("/api/contact")
+      .send(submission({ formType: "final", message: "Following up on my earlier enquiry about the theme." }))
+      .expect(200)
+
+    expect(res.body.data.merged).toBe(true)
+    // Merging matches on what the caller typed, so the existing contact's booking token isn't handed out
+    expect(res.body.data).not.toHaveProperty("bookingToken")
+    const contacts = await Contact.find()
+    expect(contacts).toHaveLength(1)
+    expect(contacts[0].resubmissions).toHaveLength(1)
+    expect(contacts[0].resubmissions[0].formType).toBe("final")
+  })
+})
+
+describe("field patterns", () => {
+  const quoteForm = (pattern) => ({
+    key: "quote",
+    name: "Quote form",
+    fields: [{ name: "storeUrl", label: "Store handle", type: "text", pattern }],
+  })
+
+  it("refuses patterns that could backtrack catastrophically, and long input for the ones it accepts", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+
+    for (const pattern of ["(a+)+$", "[", "a".repeat(201)]) {
+      const res = await request(app)
+        .post("/api/admin/forms")
+        .set("Authorization", authorization)
+        .send(quoteForm(pattern))
+        .expect(400)
+      expect(res.body.errors[0].path).toBe("fields[0].pattern")
+    }
+
+    await request(app)
+      .post("/api/admin/forms")
+      .set("Authorization", authorization)
+      .send(quoteForm("^[a-z0-9-]+$"))
+      .expect(201)
+    const res = await request(app)
+      .post("/api/contact")
+      .send(submission({ formType: "quote", fields: { storeUrl: "a".repeat(201) } }))
+      .expect(400)
+    expect(res.body.errors.map((error) => error.path)).toEqual(["fields.storeUrl"])
+  })
+})
+
+describe("GET /api/forms/:key", () => {
+  it("returns a public form definition", async () => {
+    const { app } = buildTestApp()
+
+    const res = await request(app).get("/api/forms/hero").expect(200)
+
+    expect(res.body.data).toMatchObject({ key: "hero", name: "Hero form" })
+  })
+
+  it("404s for unknown forms", async () => {
+    const { app } = buildTestApp()
+
+    await request(app).get("/api/forms/missing").expect(404)
+  })
+})
@@ -0,0 +1,160 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Contact = require("../../models/Contact")
+const FollowUp = require("../../models/FollowUp")
+const FormDefinition = require("../../models/FormDefinition")
+const OutboxEmail = require("../../models/OutboxEmail")
+const formDefinitions = require("../../utils/formDefinitions")
+const followUps = require("../../services/followUps")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const submission = {
+  name: "Rohan Mehta",
+  email: "rohan.mehta@example.com",
+  phone: "98200 12345",
+  message: "Looking to redesign our Shopify store.",
+  formType: "hero",
+  consent: true,
+}
+
+// The hero form with a two-step sequence; returns the new contact
+async function submitLead(app) {
+  await FormDefinition.updateOne(
+    { key: "hero" },
+    {
+      followUps: [
+        { afterDays: 2, template: "follow-up-case-study" },
+        { afterDays: 5, template: "follow-up-booking-reminder" },
+      ],
+    },
+  )
+  formDefinitions.invalidateCache()
+
+  const res = await request(app).post("/api/contact").send(submission).expect(201)
+  return Contact.findById(res.body.data.id)
+}
+
+const makeDue = () => FollowUp.updateMany({}, { dueAt: new Date(Date.now() - 1000) })
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("follow-up sequences", () => {
+  it("schedules the form's steps for a new lead", async () => {
+    const { app } = buildTestApp()
+
+    const contact = await submitLead(app)
+
+    const steps = await FollowUp.find({ contact: contact._id }).sort({ step: 1 })
+    expect(steps.map((step) => step.template)).toEqual(["follow-up-case-study", "follow-up-booking-reminder"])
+    expect(steps.every((step) => step.status === "pending")).toBe(true)
+    expect(steps[0].dueAt.getTime() - contact.submittedAt.getTime()).toBe(2 * DAY_MS)
+    expect(steps[1].dueAt.getTime() - contact.submittedAt.getTime()).toBe(5 * DAY_MS)
+  })
+
+  it("sends due steps with an unsubscribe link and logs them on the contact", async () => {
+    const { app, transport, emailQueue } = buildTestApp()
+    const contact = await submitLead(app)
+    transport.sent.length = 0
+    await makeDue()
+
+    expect(await followUps.processDueFollowUps({ emailQueue })).toBe(2)
+
+    expect(transport.sent).toHaveLength(2)
+    expect(transport.sent[0].to).toBe("rohan.mehta@example.com")
+    expect(transport.sent[0].headers["List-Unsubscribe"]).toMatch(/\/api\/unsubscribe\?token=/)
+    expect(transport.sent[0].text).toContain("/api/unsubscribe?token=")
+    expect(await FollowUp.countDocuments({ status: "sent" })).toBe(2)
+
+    const updated = await Contact.findById(contact._id)
+    expect(updated.activity.filter((entry) => entry.type === "follow_up_sent")).toHaveLength(2)
+
+    // Nothing is due any more
+    expect(await followUps.processDueFollowUps({ emailQueue })).toBe(0)
+  })
+
+  it("doesn't send a step twice when saving it failed after it was queued", async () => {
+    const { app, transport, emailQueue } = buildTestApp()
+    await submitLead(app)
+    transport.sent.length = 0
+    await makeDue()
+
+    const save = jest.spyOn(FollowUp.prototype, "save").mockRejectedValueOnce(new Error("connection lost"))
+    await followUps.processDueFollowUps({ emailQueue })
+    save.mockRestore()
+    expect(await FollowUp.countDocuments({ status: "sending" })).toBe(1)
+
+    // The lock times out and the next pass picks the step up again
+    await FollowUp.updateMany({ status: "sending" }, { lockedAt: new Date(Date.now() - 10 * 60 * 1000) })
+    expect(await followUps.processDueFollowUps({ emailQueue })).toBe(1)
+
+    expect(await FollowUp.countDocuments({ status: "sent" })).toBe(2)
+    expect(await OutboxEmail.countDocuments({ kind: "follow_up" })).toBe(2)
+    expect(transport.sent).toHaveLength(2)
+  })
+
+  it("stops once the lead's status moves past new", async () => {
+    const { app, transport, emailQueue } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const contact = await submitLead(app)
+    transport.sent.length = 0
+
+    await request(app)
+      .patch(`/api/contacts/${contact._id}/status`)
+      .set("Authorization", authorization)
+      .send({ status: "contacted" })
+      .expect(200)
+
+    const steps = await FollowUp.find({ contact: contact._id })
+    expect(steps.every((step) => step.status === "cancelled" && step.cancelReason === "status: contacted")).toBe(true)
+
+    await makeDue()
+    await followUps.processDueFollowUps({ emailQueue })
+    expect(transport.sent).toHaveLength(0)
+  })
+})
+
+describe("/api/unsubscribe", () => {
+  it("shows a confirmation page, then unsubscribes the contact and cancels the sequence", async () => {
+    const { app } = buildTestApp()
+    const contact = await submitLead(app)
+    const url = new URL(followUps.unsubscribeUrl(contact._id))
+    const token = url.searchParams.get("token")
+
+    const page = await request(app).get("/api/unsubscribe").query({ token }).expect(200)
+    expect(page.text).toContain('<form method="post"')
+    expect((await Contact.findById(contact._id)).unsubscribedAt).toBeUndefined()
+
+    await request(app).post("/api/unsubscribe").type("form").send({ token }).expect(200)
+
+    const updated = await Contact.findById(contact._id)
+    expect(updated.unsubscribedAt).toBeInstanceOf(Date)
+    expect(updated.activity.map((entry) => entry.type)).toContain("unsubscribed")
+    expect(await FollowUp.countDocuments({ contact: contact._id, status: "pending" })).toBe(0)
+  })
+
+  it("accepts one-click unsubscribes from mail clients", async () => {
+    const { app } = buildTestApp()
+    const contact = await submitLead(app)
+    const token = new URL(followUps.unsubscribeUrl(contact._id)).searchParams.get("token")
+
+    await request(app)
+      .post("/api/unsubscribe")
+      .query({ token })
+      .type("form")
+      .send("List-Unsubscribe=One-Click")
+      .expect(200)
+
+    expect((await Contact.findById(contact._id)).unsubscribedAt).toBeInstanceOf(Date)
+  })
+
+  it("rejects invalid tokens", async () => {
+    const { app } = buildTestApp()
+
+    await request(app).get("/api/unsubscribe").query({ token: "not-a-token" }).expect(400)
+    await request(app).post("/api/unsubscribe").type("form").send({ token: "not-a-token" }).expect(400)
+  })
+})
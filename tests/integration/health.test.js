@@ -0,0 +1,47 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp } = require("../helpers/app")
+
+beforeAll(db.connect)
+afterAll(db.disconnect)
+
+describe("/api/health", () => {
+  it("reports liveness without checking dependencies", async () => {
+    const { app } = buildTestApp()
+
+    const res = await request(app).get("/api/health/live").expect(200)
+
+    expect(res.body.status).toBe("alive")
+  })
+
+  it("is ready when MongoDB answers and the email transport verifies", async () => {
+    const { app } = buildTestApp()
+
+    const res = await request(app).get("/api/health/ready").expect(200)
+
+    expect(res.body.checks.database.status).toBe("up")
+    expect(res.body.checks.email.status).toBe("up")
+  })
+
+  it("is not ready when the email transport is down", async () => {
+    const { app, transport } = buildTestApp()
+    transport.verify = async () => {
+      throw new Error("connect ECONNREFUSED")
+    }
+
+    const res = await request(app).get("/api/health").expect(503)
+
+    expect(res.body.status).toBe("unhealthy")
+    expect(res.body.services.email).toMatchObject({ status: "down", error: "connect ECONNREFUSED" })
+  })
+
+  it("is not ready while shutting down", async () => {
+    const { app } = buildTestApp()
+    app.locals.shuttingDown = true
+
+    const res = await request(app).get("/api/health/ready").expect(503)
+
+    expect(res.body.status).toBe("shutting down")
+    expect(res.headers.connection).toBe("close")
+  })
+})
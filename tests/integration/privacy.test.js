@@ -0,0 +1,188 @@
+const request = require("supertest")
+const db = require("../helpers/db")
+const { buildTestApp, createAdmin } = require("../helpers/app")
+const Contact = require("../../models/Contact")
+const OutboxEmail = require("../../models/OutboxEmail")
+const PrivacyAudit = require("../../models/PrivacyAudit")
+const retention = require("../../services/retention")
+const config = require("../../config")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function createContact(overrides = {}) {
+  return Contact.create({
+    name: "Sneha Iyer",
+    email: "sneha.iyer@example.com",
+    phone: "+919812345678",
+    phoneCountry: "IN",
+    message: "Please call me about a store redesign.",
+    formType: "hero",
+    ipAddress: "203.0.113.7",
+    attribution: { utmSource: "google", gclid: "abc123" },
+    consent: { given: true, policyVersion: "1.0" },
+    activity: [{ type: "created" }],
+    ...overrides,
+  })
+}
+
+beforeAll(db.connect)
+afterEach(db.clear)
+afterAll(db.disconnect)
+
+describe("consent", () => {
+  it("stores the consent and policy version with the submission", async () => {
+    const { app } = buildTestApp()
+
+    await request(app)
+      .post("/api/contact")
+      .send({
+        name: "Sneha Iyer",
+        email: "sneha.iyer@example.com",
+        phone: "98123 45678",
+        message: "Please call me about a store redesign.",
+        formType: "hero",
+        consent: true,
+      })
+      .expect(201)
+
+    const contact = await Contact.findOne()
+    expect(contact.consent.given).toBe(true)
+    expect(contact.consent.policyVersion).toBe(config.privacy.policyVersion)
+    expect(contact.consent.at).toBeInstanceOf(Date)
+  })
+
+  it("rejects submissions without consent", async () => {
+    const { app } = buildTestApp()
+
+    const res = await request(app)
+      .post("/api/contact")
+      .send({ name: "Sneha Iyer", email: "sneha.iyer@example.com", phone: "98123 45678", formType: "hero" })
+      .expect(400)
+
+    expect(res.body.errors.map((error) => error.path)).toEqual(["consent"])
+  })
+})
+
+describe("/api/admin/privacy", () => {
+  it("is owner only", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin({ role: "manager", email: "manager@example.com" })
+
+    await request(app)
+      .get("/api/admin/privacy/subjects?email=sneha.iyer@example.com")
+      .set("Authorization", authorization)
+      .expect(403)
+  })
+
+  it("finds and exports every record for an email or phone", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    const contact = await createContact()
+    await createContact({ email: "other@example.com" })
+    await createContact({ email: "someone.else@example.com", phone: "+919900000000" })
+    await OutboxEmail.create({ kind: "auto_reply", to: "sneha.iyer@example.com", payload: { contactId: contact._id } })
+
+    const found = await request(app)
+      .get("/api/admin/privacy/subjects?email=sneha.iyer@example.com&phone=98123 45678")
+      .set("Authorization", authorization)
+      .expect(200)
+    expect(found.body.data.contacts).toHaveLength(2)
+    expect(found.body.data.outboxEmails).toBe(1)
+
+    const exported = await request(app)
+      .get("/api/admin/privacy/subjects/export?phone=%2B919812345678")
+      .set("Authorization", authorization)
+      .expect(200)
+    expect(exported.headers["content-disposition"]).toMatch(/^attachment/)
+    const data = JSON.parse(exported.text)
+    expect(data.contacts.map((record) => record.email).sort()).toEqual(["other@example.com", "sneha.iyer@example.com"])
+  })
+
+  it("anonymizes matching contacts and keeps the leads", async () => {
+    const { app } = buildTestApp()
+    const { admin, authorization } = await createAdmin()
+    const contact = await createContact({ notes: [{ body: "Sneha prefers WhatsApp" }] })
+    await OutboxEmail.create({ kind: "auto_reply", to: "sneha.iyer@example.com", payload: { contactId: contact._id } })
+
+    const res = await request(app)
+      .post("/api/admin/privacy/subjects/anonymize")
+      .set("Authorization", authorization)
+      .send({ email: "sneha.iyer@example.com", reason: "Erasure request #7" })
+      .expect(200)
+
+    expect(res.body.data.counts).toEqual({
+      contacts: 1,
+      attachments: 0,
+      outboxEmails: 1,
+      webhookDeliveries: 0,
+      followUps: 0,
+      bookings: 0,
+    })
+    const anonymized = await Contact.findById(contact._id)
+    expect(anonymized).toMatchObject({ name: "Anonymized", phone: "+10000000000", status: "new" })
+    expect(anonymized.email).not.toContain("sneha")
+    expect(anonymized.message).toBeUndefined()
+    expect(anonymized.ipAddress).toBeUndefined()
+    expect(anonymized.attribution.gclid).toBeUndefined()
+    expect(anonymized.attribution.utmSource).toBe("google")
+    expect(anonymized.notes).toHaveLength(0)
+    expect(anonymized.anonymizedAt).toBeInstanceOf(Date)
+    expect(await OutboxEmail.countDocuments()).toBe(0)
+
+    const [entry] = await PrivacyAudit.find()
+    expect(entry).toMatchObject({ action: "anonymize", actorEmail: admin.email, reason: "Erasure request #7" })
+    expect(JSON.stringify(entry)).not.toContain("sneha")
+  })
+
+  it("hard-deletes matching contacts and lists the audit trail by email", async () => {
+    const { app } = buildTestApp()
+    const { authorization } = await createAdmin()
+    await createContact()
+
+    await request(app)
+      .post("/api/admin/privacy/subjects/delete")
+      .set("Authorization", authorization)
+      .send({ phone: "+919812345678", reason: "Erasure request #8" })
+      .expect(200)
+    expect(await Contact.countDocuments()).toBe(0)
+
+    await request(app)
+      .post("/api/admin/privacy/subjects/delete")
+      .set("Authorization", authorization)
+      .send({ email: "sneha.iyer@example.com", reason: "Follow-up" })
+      .expect(200)
+
+    const res = await request(app)
+      .get("/api/admin/privacy/audit?email=sneha.iyer@example.com")
+      .set("Authorization", authorization)
+      .expect(200)
+    expect(res.body.data.map((entry) => entry.reason)).toEqual(["Follow-up"])
+  })
+})
+
+describe("retention policy", () => {
+  // config/environments/test.js sets RETENTION_DAYS to 365
+  it("anonymizes closed leads without recent activity", async () => {
+    const old = new Date(Date.now() - 400 * DAY_MS)
+    const stale = await createContact({ status: "lost", submittedAt: old, activity: [{ type: "created", at: old }] })
+    const recent = await createContact({
+      email: "recent@example.com",
+      status: "lost",
+      submittedAt: old,
+      activity: [{ type: "created", at: old }, { type: "status_changed", from: "new", to: "lost" }],
+    })
+    const open = await createContact({
+      email: "open@example.com",
+      submittedAt: old,
+      activity: [{ type: "created", at: old }],
+    })
+
+    const { processed } = await retention.applyRetention()
+
+    expect(processed).toBe(1)
+    expect((await Contact.findById(stale._id)).anonymizedAt).toBeInstanceOf(Date)
+    expect((await Contact.findById(recent._id)).anonymizedAt).toBeUndefined()
+    expect((await Contact.findById(open._id)).anonymizedAt).toBeUndefined()
+    expect(await PrivacyAudit.countDocuments({ action: "retention" })).toBe(1)
+  })
+})
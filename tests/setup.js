@@ -0,0 +1,5 @@
+// Runs before each test file, ahead of the first require("../config")
+process.env.NODE_ENV = "test"
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret"
+// Placeholder so the config validates; tests/helpers/db.js connects to an in-memory server instead
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/shopify-landing-test"
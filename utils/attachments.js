@@ -0,0 +1,127 @@
+const crypto = require("crypto")
+const path = require("path")
+const multer = require("multer")
+const { createStorage } = require("./storage")
+const { FILE_TYPES, detectFileType } = require("./fileTypes")
+const logger = require("./logger")
+const config = require("../config")
+
+// Multipart field the form sends its files in
+const FIELD_NAME = "attachments"
+const MAX_FILENAME_LENGTH = 200
+
+const { maxFiles, maxFileSizeMb, types } = config.attachments
+const storage = createStorage(config.storage)
+const storages = { [storage.name]: storage }
+
+const allowedExtensions = types.flatMap((type) => FILE_TYPES[type].extensions).join(", ")
+
+// Files are held in memory until the submission has passed validation and the spam checks,
+// so nothing is stored for rejected submissions
+const upload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: "utf8",
+  limits: {
+    files: maxFiles,
+    fileSize: Math.round(maxFileSizeMb * 1024 * 1024),
+    fields: 100,
+    fieldSize: 100 * 1024,
+  },
+}).array(FIELD_NAME, maxFiles)
+
+function uploadErrorMessage(error) {
+  // .array() reports files beyond its count as unexpected
+  const tooMany =
+    error.code === "LIMIT_FILE_COUNT" || (error.code === "LIMIT_UNEXPECTED_FILE" && error.field === FIELD_NAME)
+  if (tooMany) return maxFiles === 0 ? "Attachments are not accepted" : `You can attach at most ${maxFiles} files`
+  if (error.code === "LIMIT_UNEXPECTED_FILE") return `Files must be sent in the "${FIELD_NAME}" field`
+  if (error.code === "LIMIT_FILE_SIZE") return `Each file can be at most ${maxFileSizeMb} MB`
+  return "The form data could not be read"
+}
+
+function rejectUpload(res, msg) {
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: [{ type: "field", location: "body", path: FIELD_NAME, msg }],
+  })
+}
+
+// Name shown to admins and used for downloads: no directories or control characters
+function cleanFilename(name) {
+  const base = path.basename(String(name).replace(/\\/g, "/")).replace(/[\u0000-\u001f\u007f"]/g, "")
+  return base.slice(-MAX_FILENAME_LENGTH) || "attachment"
+}
+
+// Parses multipart submissions (JSON and urlencoded ones pass through untouched) and checks every file's
+// size, count, type and signature. Accepted files are on req.files, each with its detected fileType.
+function parseAttachments(req, res, next) {
+  upload(req, res, (error) => {
+    if (error) {
+      logger.info("Upload rejected", { code: error.code, reason: error.message })
+      return rejectUpload(res, uploadErrorMessage(error))
+    }
+
+    for (const file of req.files || []) {
+      const filename = cleanFilename(file.originalname)
+      file.fileType = file.size > 0 ? detectFileType(file.buffer, file.mimetype, types) : null
+      if (!file.fileType) {
+        return rejectUpload(res, `${filename}: only ${allowedExtensions} files are accepted`)
+      }
+      file.filename = filename
+    }
+    next()
+  })
+}
+
+// The driver a file was stored with, so files kept from before a STORAGE_DRIVER change stay reachable
+// (as long as that driver's settings are still configured)
+function storageFor(attachment) {
+  const driver = attachment.storage || storage.name
+  if (!storages[driver]) storages[driver] = createStorage({ ...config.storage, driver })
+  return storages[driver]
+}
+
+// Removes stored files. Failures are logged and rethrown, so an erasure isn't reported as done when it isn't.
+async function removeAttachments(attachments) {
+  await Promise.all(
+    attachments.map(async (attachment) => {
+      try {
+        await storageFor(attachment).remove(attachment.key)
+      } catch (error) {
+        logger.error("Error removing attachment", { key: attachment.key, error })
+        throw error
+      }
+    }),
+  )
+}
+
+// Stores the uploaded files of a contact and returns the records for its attachments array.
+// Keys are random, so the uploaded name never reaches the storage path.
+async function storeAttachments(contactId, files = []) {
+  const stored = []
+  try {
+    for (const file of files) {
+      const key = `contacts/${contactId}/${crypto.randomUUID()}${file.fileType.extensions[0]}`
+      await storage.put(key, file.buffer, { contentType: file.fileType.mimeType })
+      stored.push({
+        filename: file.filename,
+        contentType: file.fileType.mimeType,
+        size: file.size,
+        storage: storage.name,
+        key,
+      })
+    }
+  } catch (error) {
+    await removeAttachments(stored).catch(() => {})
+    throw error
+  }
+  return stored
+}
+
+// Readable stream of a stored attachment, or null when the file is gone
+async function openAttachment(attachment) {
+  return storageFor(attachment).get(attachment.key)
+}
+
+module.exports = { FIELD_NAME, parseAttachments, storeAttachments, removeAttachments, openAttachment }
@@ -0,0 +1,74 @@
+const net = require("net")
+const { body } = require("express-validator")
+const config = require("../config")
+
+// Request body field -> Contact.attribution field
+const ATTRIBUTION_FIELDS = {
+  utm_source: "utmSource",
+  utm_medium: "utmMedium",
+  utm_campaign: "utmCampaign",
+  utm_term: "utmTerm",
+  utm_content: "utmContent",
+  gclid: "gclid",
+  fbclid: "fbclid",
+  referrer: "referrer",
+  landingPath: "landingPath",
+}
+
+const validateAttribution = [
+  ...["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"].map((field) =>
+    body(field).optional().isString().trim().isLength({ max: 200 }).withMessage(`${field} is too long`),
+  ),
+  body(["gclid", "fbclid"]).optional().isString().trim().isLength({ max: 500 }).withMessage("Click id is too long"),
+  body("referrer").optional().isString().trim().isLength({ max: 2000 }).withMessage("Referrer is too long"),
+  body("landingPath")
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^\//)
+    .withMessage("Landing path must start with /")
+    .isLength({ max: 500 })
+    .withMessage("Landing path is too long"),
+]
+
+// Picks the attribution fields out of a submission, dropping empty ones
+function extractAttribution(input) {
+  const attribution = {}
+  for (const [field, key] of Object.entries(ATTRIBUTION_FIELDS)) {
+    if (typeof input[field] === "string" && input[field] !== "") attribution[key] = input[field]
+  }
+  // UTM values are case-insensitive in practice; normalise so reports group correctly
+  for (const key of ["utmSource", "utmMedium", "utmCampaign"]) {
+    if (attribution[key]) attribution[key] = attribution[key].toLowerCase()
+  }
+  return Object.keys(attribution).length > 0 ? attribution : undefined
+}
+
+// Zeroes the host part of an IP: the last octet for IPv4, everything after /48 for IPv6
+function anonymizeIp(ip) {
+  if (!ip) return ip
+  const address = ip.startsWith("::ffff:") ? ip.slice(7) : ip
+
+  if (net.isIPv4(address)) {
+    return address.replace(/\.\d+$/, ".0")
+  }
+  if (net.isIPv6(address)) {
+    const [head] = address.split("::")
+    return `${head.split(":").slice(0, 3).join(":")}::`
+  }
+  return undefined
+}
+
+// IP address and user agent, according to CLIENT_INFO_TRACKING (off by default for privacy)
+function extractClientInfo(req) {
+  const mode = config.clientInfoTracking
+  if (mode === "off") return {}
+
+  const ip = req.ip || req.socket.remoteAddress
+  return {
+    ipAddress: mode === "full" ? ip : anonymizeIp(ip),
+    userAgent: req.get("User-Agent")?.slice(0, 500),
+  }
+}
+
+module.exports = { validateAttribution, extractAttribution, extractClientInfo, anonymizeIp }
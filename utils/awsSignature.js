@@ -0,0 +1,59 @@
+const crypto = require("crypto")
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex")
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest()
+}
+
+// AWS Signature Version 4 headers for a request to an AWS (or S3-compatible) API. headers are the
+// lower-case headers to sign besides host and x-amz-date; path must already be URI-encoded.
+function signRequest({
+  method,
+  host,
+  path,
+  query = "",
+  headers = {},
+  body = "",
+  service,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+}) {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "")
+  const dateStamp = amzDate.slice(0, 8)
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`
+
+  const signed = {
+    ...headers,
+    host,
+    "x-amz-date": amzDate,
+  }
+  if (sessionToken) signed["x-amz-security-token"] = sessionToken
+
+  const payloadHash = signed["x-amz-content-sha256"] || sha256(body)
+  const signedHeaders = Object.keys(signed).sort().join(";")
+  const canonicalHeaders = Object.keys(signed)
+    .sort()
+    .map((name) => `${name}:${signed[name]}\n`)
+    .join("")
+  const canonicalRequest = [method, path, query, canonicalHeaders, signedHeaders, payloadHash].join("\n")
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n")
+
+  const signingKey = [service, "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region),
+  )
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex")
+
+  delete signed.host
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  }
+}
+
+module.exports = { sha256, signRequest }
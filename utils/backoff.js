@@ -0,0 +1,8 @@
+// Exponential backoff with a little jitter so retries don't bunch up.
+// attemptCount is the number of attempts made so far (1 after the first failure).
+function backoffDelay(attemptCount, { baseMs = 30 * 1000, maxMs = 60 * 60 * 1000 } = {}) {
+  const delay = Math.min(baseMs * 2 ** (attemptCount - 1), maxMs)
+  return delay + Math.floor(Math.random() * 0.1 * delay)
+}
+
+module.exports = { backoffDelay }
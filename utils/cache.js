@@ -0,0 +1,33 @@
+// Tiny in-process TTL cache. Each serverless instance keeps its own copy, which is fine
+// for short-lived dashboard data.
+class TtlCache {
+  constructor(ttlMs, maxEntries = 100) {
+    this.ttlMs = ttlMs
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return undefined
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return undefined
+    }
+    return entry.value
+  }
+
+  set(key, value) {
+    // Drop the oldest entry once full (Maps keep insertion order)
+    if (this.entries.size >= this.maxEntries && !this.entries.has(key)) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs })
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+}
+
+module.exports = TtlCache
@@ -0,0 +1,94 @@
+const { once } = require("events")
+const ExcelJS = require("exceljs")
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"]
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json; charset=utf-8",
+}
+
+// Every path in the schema except mongoose internals, in schema order
+function getExportFields(model) {
+  return Object.keys(model.schema.paths).filter((path) => path !== "__v")
+}
+
+function readPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value == null ? value : value[key]), doc)
+}
+
+// Flattens a value into something a spreadsheet cell can hold
+function toCellValue(value) {
+  if (value == null) return ""
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === "object" && value._bsontype === "ObjectId") return value.toString()
+  if (typeof value === "object") return JSON.stringify(value)
+  return String(value)
+}
+
+// Prevent CSV/formula injection: a cell starting with one of these characters is
+// treated as a formula by Excel, Sheets and LibreOffice, so prefix it with a quote.
+function escapeFormula(value) {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+}
+
+function toCsvCell(value) {
+  const cell = escapeFormula(toCellValue(value))
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, "drain")
+}
+
+async function writeCsv(cursor, fields, res) {
+  // BOM so Excel opens the file as UTF-8
+  await write(res, "\uFEFF" + fields.map(toCsvCell).join(",") + "\r\n")
+  for await (const doc of cursor) {
+    await write(res, fields.map((field) => toCsvCell(readPath(doc, field))).join(",") + "\r\n")
+  }
+  res.end()
+}
+
+async function writeJson(cursor, fields, res) {
+  let first = true
+  await write(res, "[")
+  for await (const doc of cursor) {
+    const row = {}
+    for (const field of fields) row[field] = readPath(doc, field)
+    await write(res, (first ? "" : ",") + JSON.stringify(row))
+    first = false
+  }
+  res.end("]")
+}
+
+async function writeXlsx(cursor, fields, res) {
+  // Streaming writer: rows are flushed to the response as they are committed
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false })
+  const sheet = workbook.addWorksheet("Contacts")
+  sheet.columns = fields.map((field) => ({ header: field, key: field }))
+
+  for await (const doc of cursor) {
+    const row = {}
+    for (const field of fields) row[field] = escapeFormula(toCellValue(readPath(doc, field)))
+    sheet.addRow(row).commit()
+  }
+
+  sheet.commit()
+  await workbook.commit()
+}
+
+const writers = { csv: writeCsv, json: writeJson, xlsx: writeXlsx }
+
+// Streams every document from a query cursor to the response in the given format
+async function streamExport({ cursor, fields, format, res }) {
+  const filename = `contacts-${new Date().toISOString().slice(0, 10)}.${format}`
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format])
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+
+  await writers[format](cursor, fields, res)
+}
+
+module.exports = { EXPORT_FORMATS, getExportFields, escapeFormula, streamExport }
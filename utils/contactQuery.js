@@ -0,0 +1,143 @@
+const mongoose = require("mongoose")
+const { query } = require("express-validator")
+
+// Lead pipeline stages, in order, followed by "spam" for submissions the spam filter flagged
+const STATUSES = ["new", "contacted", "qualified", "proposal-sent", "converted", "lost", "spam"]
+// Form keys are FormDefinition keys, e.g. "hero" or "store-audit"
+const FORM_KEY_PATTERN = /^[a-z0-9-]{1,50}$/
+const SORT_FIELDS = ["submittedAt", "name", "email", "status", "formType"]
+const MAX_LIMIT = 100
+
+// Query-string validation shared by every endpoint that lists contacts
+const validateContactQuery = [
+  query("status")
+    .optional()
+    .customSanitizer((value) => String(value).split(","))
+    .custom((values) => values.every((value) => STATUSES.includes(value)))
+    .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  query("formType")
+    .optional()
+    .customSanitizer((value) => String(value).split(","))
+    .custom((values) => values.every((value) => FORM_KEY_PATTERN.test(value)))
+    .withMessage("Invalid form type"),
+  query("assignedTo")
+    .optional()
+    .custom((value) => value === "none" || mongoose.isValidObjectId(value))
+    .withMessage('assignedTo must be an admin id or "none"'),
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+  query("q").optional().trim().isLength({ max: 200 }).withMessage("Search query is too long"),
+  query("sortBy").optional().isIn(SORT_FIELDS).withMessage(`sortBy must be one of: ${SORT_FIELDS.join(", ")}`),
+  query("order").optional().isIn(["asc", "desc"]).withMessage("order must be asc or desc"),
+  query("cursor").optional().isString(),
+]
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// MongoDB range for validated from/to query parameters. A `to` date without a time ("2024-05-31")
+// includes that whole day (UTC), so it ends before the next midnight.
+function dateRangeFilter(from, to) {
+  const range = {}
+  if (from) range.$gte = new Date(from)
+  if (to && DATE_ONLY_PATTERN.test(to)) range.$lt = new Date(Date.parse(to) + DAY_MS)
+  else if (to) range.$lte = new Date(to)
+  return range
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+// Emails and phone numbers are matched by prefix (uses the email/phone indexes);
+// anything else goes through the text index. Phone numbers are stored in E.164, so a
+// number typed with "+" matches from the country code, and one without it matches
+// either the full number or the number after any country code.
+function buildSearchFilter(q) {
+  if (/^\+?[0-9\s-]{3,}$/.test(q)) {
+    const digits = q.replace(/[\s+-]/g, "")
+    return { phone: { $regex: q.trim().startsWith("+") ? `^\\+${digits}` : `^\\+[0-9]{0,3}${digits}` } }
+  }
+  if (q.includes("@")) {
+    return { email: { $regex: `^${escapeRegex(q.toLowerCase())}` } }
+  }
+  return { $text: { $search: q } }
+}
+
+// Builds a MongoDB filter from validated query parameters
+function buildContactFilter(params) {
+  const filter = {}
+
+  // Spam is only listed when asked for explicitly
+  filter.status = params.status ? { $in: [].concat(params.status) } : { $ne: "spam" }
+  if (params.formType) filter.formType = { $in: [].concat(params.formType) }
+
+  if (params.assignedTo) {
+    filter.assignedTo = params.assignedTo === "none" ? null : new mongoose.Types.ObjectId(params.assignedTo)
+  }
+
+  if (params.from || params.to) filter.submittedAt = dateRangeFilter(params.from, params.to)
+
+  if (params.q) Object.assign(filter, buildSearchFilter(params.q))
+
+  return filter
+}
+
+function buildSort(params) {
+  const field = params.sortBy || "submittedAt"
+  const direction = params.order === "asc" ? 1 : -1
+  // _id breaks ties so the order (and cursors) are stable
+  return { field, direction, sort: { [field]: direction, _id: direction } }
+}
+
+// Cursors encode the sort value and _id of the last item on a page, so new
+// submissions arriving at the top don't shift the following pages.
+function encodeCursor(doc, field) {
+  const value = doc[field]
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  }
+  return Buffer.from(JSON.stringify(payload)).toString("base64url")
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    if (!mongoose.isValidObjectId(payload.id)) return null
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id),
+    }
+  } catch (error) {
+    return null
+  }
+}
+
+function buildCursorFilter(cursor, field, direction) {
+  const op = direction === 1 ? "$gt" : "$lt"
+  return {
+    $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }],
+  }
+}
+
+function parseLimit(value, fallback = 20) {
+  const limit = Number.parseInt(value) || fallback
+  return Math.min(Math.max(limit, 1), MAX_LIMIT)
+}
+
+module.exports = {
+  STATUSES,
+  FORM_KEY_PATTERN,
+  SORT_FIELDS,
+  validateContactQuery,
+  buildContactFilter,
+  buildSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  escapeRegex,
+  dateRangeFilter,
+}
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose")
+const config = require("../config")
+const formDefinitions = require("./formDefinitions")
+const migrations = require("./migrations")
+const { backoffDelay } = require("./backoff")
+const logger = require("./logger")
+
+let connecting = null
+let retryTimer = null
+let watching = false
+let closing = false
+let connected = false
+
+// Once connected, the driver reconnects on its own after a dropped connection; this only reports it
+function watchConnection() {
+  if (watching) return
+  watching = true
+  mongoose.connection.on("disconnected", () => {
+    // Also emitted when a first attempt fails; keepConnected logs those
+    if (connected && !closing) logger.warn("MongoDB disconnected, waiting for the driver to reconnect")
+  })
+  mongoose.connection.on("reconnected", () => logger.info("MongoDB reconnected"))
+}
+
+// Migrations are applied with `npm run migrate up` before deploying; the server only reminds about them
+async function warnAboutPendingMigrations() {
+  try {
+    const pending = await migrations.pending()
+    if (pending.length > 0) {
+      logger.warn("Database migrations are pending; run npm run migrate up", {
+        pending: pending.map((migration) => migration.file),
+      })
+    }
+  } catch (error) {
+    logger.warn("Could not check database migrations", { error })
+  }
+}
+
+// Connects once per process and seeds the default form definitions. Serverless invocations share the
+// same promise while the function stays warm; a failed attempt is forgotten so the next request retries.
+function connectDatabase(uri = config.mongodbUri) {
+  watchConnection()
+  if (!connecting) {
+    closing = false
+    connecting = mongoose
+      .connect(uri, {
+        serverSelectionTimeoutMS: 15000, // timeout faster if DNS fails
+        socketTimeoutMS: 45000,
+      })
+      .then(async () => {
+        connected = true
+        logger.info("Connected to MongoDB Atlas")
+        await warnAboutPendingMigrations()
+        await formDefinitions.ensureDefaultDefinitions()
+        return mongoose.connection
+      })
+      .catch((error) => {
+        connecting = null
+        throw error
+      })
+  }
+  return connecting
+}
+
+// Long-running hosts: retries the first connection with exponential backoff (1s, 2s, 4s, … up to
+// MONGODB_RETRY_MAX_DELAY_MS) until it succeeds. Readiness reports the database as down meanwhile.
+function keepConnected(attempt = 1) {
+  connectDatabase().catch((error) => {
+    if (closing) return
+    const retryInMs = backoffDelay(attempt, { baseMs: 1000, maxMs: config.database.retryMaxDelayMs })
+    logger.error("MongoDB connection error", { error, attempt, retryInMs })
+    retryTimer = setTimeout(() => keepConnected(attempt + 1), retryInMs)
+    retryTimer.unref()
+  })
+}
+
+// Stops retrying and closes the connection, e.g. on shutdown
+async function disconnectDatabase() {
+  closing = true
+  clearTimeout(retryTimer)
+  retryTimer = null
+  connecting = null
+  // An attempt still in progress can't be cancelled and closing would wait for it to time out;
+  // nothing is open yet, so there is nothing to close
+  if (mongoose.connection.readyState === mongoose.ConnectionStates.connecting) return
+  await mongoose.disconnect()
+  logger.info("MongoDB connection closed")
+}
+
+module.exports = { connectDatabase, keepConnected, disconnectDatabase }
@@ -0,0 +1,36 @@
+const Contact = require("../models/Contact")
+const config = require("../config")
+
+const MATCH_FIELDS = ["email", "phone", "name", "formType"]
+
+// DUPLICATE_MATCH is a comma-separated list of rules, each one or more fields joined by "+".
+// A submission is a duplicate if any rule matches: "email,phone" (the default) means the same
+// email or the same phone, "email+formType" means the same email on the same form.
+// The config only lets through rules built from MATCH_FIELDS.
+const MATCH_RULES = config.duplicates.match.map((rule) => rule.split("+"))
+
+function readWindow(value) {
+  const minutes = Number.parseInt(value)
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null
+}
+
+// The form's duplicateWindowMinutes wins over DUPLICATE_WINDOW_MINUTES; 0 turns detection off
+function windowMinutes(definition) {
+  const formWindow = definition ? readWindow(definition.duplicateWindowMinutes) : null
+  if (formWindow !== null) return formWindow
+  return config.duplicates.windowMinutes
+}
+
+// Most recent contact (not spam) the submission duplicates, or null
+async function findDuplicate(submission, definition, model = Contact) {
+  const minutes = windowMinutes(definition)
+  if (minutes === 0) return null
+
+  return model.findOne({
+    $or: MATCH_RULES.map((fields) => Object.fromEntries(fields.map((field) => [field, submission[field]]))),
+    submittedAt: { $gte: new Date(Date.now() - minutes * 60 * 1000) },
+    status: { $ne: "spam" },
+  }).sort({ submittedAt: -1 })
+}
+
+module.exports = { MATCH_FIELDS, MATCH_RULES, findDuplicate }
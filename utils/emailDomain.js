@@ -0,0 +1,76 @@
+const dns = require("dns")
+const logger = require("./logger")
+
+// DNS errors that mean the domain has no records of the type asked for (ENODATA) or doesn't exist at all
+// (ENOTFOUND). Anything else (timeouts, SERVFAIL) says nothing about the address, so the submission is let through.
+const NO_RECORD_CODES = ["ENOTFOUND", "ENODATA"]
+const LOOKUP_TIMEOUT_MS = 3000
+
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error("DNS lookup timed out"), { code: "ETIMEOUT" })), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// With mxCheck on (EMAIL_MX_CHECK=true), addresses whose domain can't receive mail are rejected. Pass
+// resolveMx, resolve4 and resolve6 to replace the DNS lookups (e.g. in tests): each takes a domain and resolves
+// to its records, [{ exchange, priority }] for MX and address strings for A and AAAA.
+function createEmailDomainCheck(
+  { mxCheck },
+  {
+    resolveMx = dns.promises.resolveMx,
+    resolve4 = dns.promises.resolve4,
+    resolve6 = dns.promises.resolve6,
+  } = {},
+) {
+  const enabled = mxCheck
+  const cache = new Map()
+
+  // A domain without MX records receives mail at its A or AAAA address (RFC 5321, section 5.1)
+  async function hasAddress(domain) {
+    const results = await Promise.allSettled(
+      [resolve4, resolve6].map((resolve) => withTimeout(resolve(domain), LOOKUP_TIMEOUT_MS)),
+    )
+    if (results.some((result) => result.status === "fulfilled" && result.value.length > 0)) return true
+
+    const failure = results.find(
+      (result) => result.status === "rejected" && !NO_RECORD_CODES.includes(result.reason.code),
+    )
+    if (!failure) return false
+    logger.warn("Address lookup failed", { domain, error: failure.reason })
+    return true
+  }
+
+  async function lookup(domain) {
+    try {
+      const records = await withTimeout(resolveMx(domain), LOOKUP_TIMEOUT_MS)
+      if (records.length === 0) return hasAddress(domain)
+      // A single "." exchange is a null MX (RFC 7505): the domain accepts no mail
+      return records.some((record) => record.exchange && record.exchange !== ".")
+    } catch (error) {
+      if (error.code === "ENOTFOUND") return false
+      if (error.code === "ENODATA") return hasAddress(domain)
+      logger.warn("MX lookup failed", { domain, error })
+      return true
+    }
+  }
+
+  return {
+    enabled,
+    // Resolves to false only when the domain certainly can't receive mail
+    async acceptsMail(email) {
+      if (!enabled) return true
+
+      const domain = String(email).split("@").pop().toLowerCase()
+      if (!cache.has(domain)) {
+        cache.set(domain, lookup(domain))
+        if (cache.size > 1000) cache.delete(cache.keys().next().value)
+      }
+      return cache.get(domain)
+    },
+  }
+}
+
+module.exports = { createEmailDomainCheck }
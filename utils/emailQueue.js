@@ -0,0 +1,160 @@
+const OutboxEmail = require("../models/OutboxEmail")
+const defaultEmailService = require("./emailService")
+const { backoffDelay } = require("./backoff")
+const logger = require("./logger")
+const config = require("../config")
+
+// Outbox kind -> EmailService method that sends it
+const SENDERS = {
+  contact_notification: "sendContactNotification",
+  auto_reply: "sendAutoReply",
+  admin_invite: "sendAdminInvite",
+  follow_up: "sendFollowUp",
+  booking_confirmation: "sendBookingConfirmation",
+  booking_cancellation: "sendBookingCancellation",
+}
+
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000 // reclaim jobs left "sending" by a crashed worker
+const POLL_INTERVAL_MS = config.email.queueIntervalMs
+const MAX_ATTEMPTS = config.email.maxAttempts
+
+// Writes an email to the outbox; it is delivered by the worker (or deliver()). With a key, enqueueing
+// again returns the email already queued under that key instead of adding a second one.
+async function enqueue(kind, payload, to, { key } = {}) {
+  if (!SENDERS[kind]) {
+    throw new Error(`Unknown email kind: ${kind}`)
+  }
+  const email = { kind, payload, to, maxAttempts: MAX_ATTEMPTS, requestId: logger.getRequestId() }
+  if (!key) return OutboxEmail.create(email)
+
+  return OutboxEmail.findOneAndUpdate({ key }, { $setOnInsert: email }, { upsert: true, new: true })
+}
+
+// Atomically takes one due job so two workers never send the same email
+function claimNext(filter = {}) {
+  const now = new Date()
+  return OutboxEmail.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { status: "sending", lockedAt: now },
+    { new: true, sort: { nextAttemptAt: 1 } },
+  )
+}
+
+// Puts a dead email back in the queue for an immediate retry with a fresh set of attempts
+async function resend(id) {
+  return OutboxEmail.findOneAndUpdate(
+    { _id: id, status: "dead" },
+    {
+      status: "pending",
+      nextAttemptAt: new Date(),
+      $inc: { maxAttempts: MAX_ATTEMPTS },
+    },
+    { new: true },
+  )
+}
+
+// A queue that sends through the given EmailService. The module exports one that uses the
+// shared service; tests and createApp() can build their own.
+function createEmailQueue({ emailService = defaultEmailService, awaitDelivery = config.vercel } = {}) {
+  let workerTimer = null
+  let currentPass = null
+
+  async function attempt(job) {
+    const startedAt = Date.now()
+    job.attemptCount += 1
+
+    try {
+      if (!emailService.ensureTransport()) {
+        throw new Error("Email service not configured")
+      }
+
+      await emailService[SENDERS[job.kind]](job.payload)
+
+      job.status = "sent"
+      job.sentAt = new Date()
+      job.lastError = undefined
+      job.attempts.push({ success: true, durationMs: Date.now() - startedAt })
+    } catch (error) {
+      job.lastError = error.message
+      job.attempts.push({ success: false, error: error.message, durationMs: Date.now() - startedAt })
+
+      if (job.attemptCount >= job.maxAttempts) {
+        job.status = "dead"
+        logger.error("Email moved to dead letter", { emailId: job._id, kind: job.kind, attempts: job.attemptCount })
+      } else {
+        job.status = "pending"
+        job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attemptCount))
+      }
+    }
+
+    job.lockedAt = undefined
+    await job.save()
+    return job
+  }
+
+  // Sends due emails until none are left (or the limit is reached)
+  async function processQueue({ limit = 50, filter } = {}) {
+    let processed = 0
+    while (processed < limit) {
+      const job = await claimNext(filter)
+      if (!job) break
+      // Log lines from the attempt carry the id of the request that queued the email
+      await logger.runWithRequestId(job.requestId || logger.getRequestId(), () => attempt(job))
+      processed += 1
+    }
+    return processed
+  }
+
+  // Immediately tries the given jobs; failures stay queued for the worker
+  function deliver(jobs) {
+    const ids = jobs.map((job) => job._id)
+    return processQueue({ limit: ids.length, filter: { _id: { $in: ids } } })
+  }
+
+  // Kicks off delivery of freshly queued jobs. Serverless functions can be frozen once the
+  // response is sent, so on Vercel (or with awaitDelivery) this waits for the send; elsewhere
+  // it runs in the background.
+  async function dispatch(jobs) {
+    if (awaitDelivery) {
+      await deliver(jobs)
+      return
+    }
+    deliver(jobs).catch((error) => {
+      logger.error("Failed to deliver queued emails", { error })
+    })
+  }
+
+  // Polls the outbox on long-running hosts. On Vercel the cron route does this instead.
+  function startWorker() {
+    if (workerTimer) return
+
+    workerTimer = setInterval(() => {
+      if (currentPass) return
+      currentPass = processQueue()
+        .catch((error) => logger.error("Email queue worker error", { error }))
+        .finally(() => {
+          currentPass = null
+        })
+    }, POLL_INTERVAL_MS)
+    workerTimer.unref()
+
+    logger.info("Email queue worker started", { intervalMs: POLL_INTERVAL_MS })
+  }
+
+  // Stops polling; resolves once a pass that is already running has finished
+  function stopWorker() {
+    clearInterval(workerTimer)
+    workerTimer = null
+    return currentPass || Promise.resolve()
+  }
+
+  return { enqueue, resend, deliver, dispatch, processQueue, startWorker, stopWorker }
+}
+
+module.exports = { ...createEmailQueue(), createEmailQueue }
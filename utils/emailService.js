@@ -1,166 +1,387 @@
-const nodemailer = require("nodemailer")
+const emailTemplates = require("./emailTemplates")
+const { createTransport } = require("./transports")
+const { formatPhone } = require("./phone")
+const { buildInvite } = require("./ics")
+const logger = require("./logger")
+const config = require("../config")
 
-// Email service for notifications
+// Extra form field values as they should read in an email
+function formatFieldValue(value) {
+  if (Array.isArray(value)) return value.join(", ")
+  if (typeof value === "boolean") return value ? "Yes" : "No"
+  return String(value)
+}
+
+// "840 KB", "2.4 MB"
+function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Where admins open an attachment: the dashboard's contact page, which downloads it through
+// GET /api/contacts/:id/attachments/:attachmentId with the admin's token
+function attachmentUrl(contactId, attachmentId) {
+  return config.frontendUrl ? `${config.frontendUrl}/admin/contacts/${contactId}/attachments/${attachmentId}` : null
+}
+
+// The attachments section of the admin notification. Templates have no conditionals, so the
+// whole section is built here and is empty when nothing was uploaded.
+function attachmentsHtml(attachments) {
+  if (attachments.length === 0) return ""
+  const items = attachments.map(({ label, url }) => {
+    const name = emailTemplates.escapeHtml(label)
+    return `<li>${url ? `<a href="${emailTemplates.escapeHtml(url)}">${name}</a>` : name}</li>`
+  })
+  return `<p><strong>Attachments:</strong></p>\n<ul>\n${items.join("\n")}\n</ul>`
+}
+
+function attachmentsText(attachments) {
+  if (attachments.length === 0) return ""
+  return `Attachments:\n${attachments.map(({ label, url }) => `- ${label}${url ? `: ${url}` : ""}`).join("\n")}`
+}
+
+// "google / cpc / summer-sale", "Referrer: https://..." or "Direct"
+function describeSource(attribution = {}) {
+  const utm = [attribution.utmSource, attribution.utmMedium, attribution.utmCampaign].filter(Boolean)
+  if (utm.length > 0) return utm.join(" / ")
+  if (attribution.gclid) return "Google Ads (gclid)"
+  if (attribution.fbclid) return "Meta Ads (fbclid)"
+  if (attribution.referrer) return `Referrer: ${attribution.referrer}`
+  return "Direct"
+}
+
+// Email service for notifications. Uses the transport from the email config unless one is
+// passed in (e.g. a stub in tests).
 class EmailService {
-  constructor() {
-    this.transporter = null
-    this.initializeTransporter()
-  }
-
-  initializeTransporter() {
-    // Check if email config exists
-    if (process.env.SMTP_USER && process.env.SMTP_PASS) {
-      try {
-        // FIX: Use createTransport (not createTransporter)
-        this.transporter = nodemailer.createTransport({
-          host: process.env.SMTP_HOST,
-          port: Number.parseInt(process.env.SMTP_PORT),
-          secure: false, // true for 465, false for other ports
-          auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS,
-          },
-        })
-        console.log(" Email service initialized successfully")
-      } catch (error) {
-        console.error(" Error initializing email service:", error.message)
-        this.transporter = null
+  constructor({ transport } = {}) {
+    this.buildTransport = transport ? () => transport : () => createTransport(config.email)
+    this.transport = null
+    this.health = { status: "not configured" }
+    this.initializeTransport()
+  }
+
+  initializeTransport() {
+    try {
+      const transport = this.buildTransport()
+
+      if (transport && transport.isConfigured()) {
+        this.transport = transport
+        this.health = { transport: transport.name, status: "unverified" }
+        logger.info("Email service initialized", { transport: transport.name })
+      } else {
+        // Called again whenever an email is due, so only a half-configured transport is a warning
+        logger[transport ? "warn" : "debug"]("Email configuration not complete", { transport: transport?.name })
+        this.transport = null
+        this.health = { transport: transport?.name, status: "not configured" }
       }
-    } else {
-      console.log(" Email configuration not complete:")
-      console.log("  SMTP_USER:", process.env.SMTP_USER ? "SET" : "NOT SET")
-      console.log("  SMTP_PASS:", process.env.SMTP_PASS ? "SET" : "NOT SET")
-      this.transporter = null
+    } catch (error) {
+      logger.error("Error initializing email service", { error })
+      this.transport = null
+      this.health = { status: "error", error: error.message }
     }
   }
 
   // Re-initialize if needed
-  ensureTransporter() {
-    if (!this.transporter && process.env.SMTP_USER && process.env.SMTP_PASS) {
-      this.initializeTransporter()
+  ensureTransport() {
+    if (!this.transport) {
+      this.initializeTransport()
+    }
+    return this.transport !== null
+  }
+
+  isConfigured() {
+    return this.ensureTransport()
+  }
+
+  // Checks the transport's credentials/connectivity and records the result for /api/health
+  async verify() {
+    if (!this.ensureTransport()) return this.health
+
+    try {
+      await this.transport.verify()
+      this.health = { transport: this.transport.name, status: "ok", checkedAt: new Date().toISOString() }
+    } catch (error) {
+      this.health = {
+        transport: this.transport.name,
+        status: "error",
+        error: error.message,
+        checkedAt: new Date().toISOString(),
+      }
+    }
+    return this.health
+  }
+
+  getHealth() {
+    return this.health
+  }
+
+  sendMail(message) {
+    return this.transport.send({
+      from: config.email.from || config.email.smtp.user,
+      ...message,
+    })
+  }
+
+  // Values shared by the contact templates
+  contactTemplateData(contactData) {
+    const customFields = (contactData.customFields || []).map((field) => ({
+      label: field.label,
+      value: formatFieldValue(field.value),
+    }))
+
+    const phone = formatPhone(contactData.phone)
+
+    const attachments = (contactData.attachments || []).map((attachment) => ({
+      label: `${attachment.filename} (${formatFileSize(attachment.size)})`,
+      url: attachmentUrl(contactData.contactId, attachment.id),
+    }))
+
+    return {
+      ...contactData,
+      // "+91 98765 43210", "+919876543210" for tel: links, "919876543210" for wa.me links
+      phoneFormatted: phone.international,
+      phoneTel: phone.tel,
+      phoneWhatsapp: phone.whatsapp,
+      formName: contactData.formName || contactData.formType,
+      sourceLabel: describeSource(contactData.attribution),
+      customFieldsHtml: customFields
+        .map(
+          (field) =>
+            `<p><strong>${emailTemplates.escapeHtml(field.label)}:</strong> ${emailTemplates.escapeHtml(field.value)}</p>`,
+        )
+        .join("\n"),
+      customFieldsText: customFields.map((field) => `${field.label}: ${field.value}`).join("\n"),
+      attachmentsHtml: attachmentsHtml(attachments),
+      attachmentsText: attachmentsText(attachments),
+      formTypeLabel: contactData.formType.toUpperCase(),
+      locale: contactData.locale || emailTemplates.DEFAULT_LOCALE,
+      submittedAtFormatted: new Date(contactData.submittedAt).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" }),
+    }
+  }
+
+  buildContactNotification(contactData) {
+    return emailTemplates.render("contact-notification", {
+      locale: config.adminLocale,
+      formType: contactData.formType,
+      data: this.contactTemplateData(contactData),
+    })
+  }
+
+  buildAutoReply(contactData) {
+    return emailTemplates.render("auto-reply", {
+      locale: contactData.locale,
+      formType: contactData.formType,
+      data: this.contactTemplateData(contactData),
+    })
+  }
+
+  // One step of a follow-up sequence; followUpData.template is the step's template
+  buildFollowUp(followUpData) {
+    return emailTemplates.render(followUpData.template, {
+      locale: followUpData.locale,
+      formType: followUpData.formType,
+      data: followUpData,
+    })
+  }
+
+  // Values shared by the booking templates; times are shown in the booking's timezone
+  bookingTemplateData(bookingData) {
+    const startsAt = new Date(bookingData.startsAt)
+    return {
+      ...bookingData,
+      startsAtFormatted: startsAt.toLocaleString("en-IN", {
+        timeZone: bookingData.timezone,
+        dateStyle: "full",
+        timeStyle: "short",
+      }),
+      durationMinutes: Math.round((new Date(bookingData.endsAt) - startsAt) / 60000),
+    }
+  }
+
+  buildBookingConfirmation(bookingData) {
+    return emailTemplates.render("booking-confirmation", {
+      locale: bookingData.locale,
+      formType: bookingData.formType,
+      data: this.bookingTemplateData(bookingData),
+    })
+  }
+
+  buildBookingCancellation(bookingData) {
+    return emailTemplates.render("booking-cancellation", {
+      locale: bookingData.locale,
+      formType: bookingData.formType,
+      data: this.bookingTemplateData(bookingData),
+    })
+  }
+
+  // Calendar invite for a booking; method "CANCEL" removes the event from the lead's calendar
+  bookingInvite(bookingData, method) {
+    const links = [
+      bookingData.rescheduleUrl && `Reschedule: ${bookingData.rescheduleUrl}`,
+      bookingData.cancelUrl && `Cancel: ${bookingData.cancelUrl}`,
+    ]
+    return {
+      filename: method === "CANCEL" ? "cancelled.ics" : "invite.ics",
+      contentType: `text/calendar; charset=utf-8; method=${method}`,
+      content: buildInvite({
+        uid: `booking-${bookingData.bookingId}@${new URL(config.apiUrl).hostname}`,
+        sequence: bookingData.sequence,
+        method,
+        startsAt: bookingData.startsAt,
+        endsAt: bookingData.endsAt,
+        summary: `Consultation call with ${config.company.name}`,
+        description: [bookingData.notes, ...links].filter(Boolean).join("\n\n"),
+        organizer: { name: config.company.name, email: config.company.email },
+        attendee: { name: bookingData.name, email: bookingData.email },
+      }),
     }
-    return this.transporter !== null
+  }
+
+  buildAdminInvite(inviteData) {
+    return emailTemplates.render("admin-invite", {
+      data: { ...inviteData, name: inviteData.name || inviteData.email },
+    })
   }
 
   async sendContactNotification(contactData) {
-    if (!this.ensureTransporter()) {
-      console.log(" Email service not configured, skipping admin notification")
+    if (!this.ensureTransport()) {
+      logger.info("Email service not configured, skipping admin notification")
       return
     }
 
     try {
-      const mailOptions = {
-        from: process.env.SMTP_USER,
-        to: process.env.ADMIN_EMAIL || "pradum@delhidigital.co",
-        subject: ` New Contact Form Submission - ${contactData.formType.toUpperCase()}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px;">
-              New Contact Form Submission
-            </h2>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
-              <p><strong>Form Type:</strong> <span style="color: #007bff;">${contactData.formType.toUpperCase()}</span></p>
-              <p><strong>Name:</strong> ${contactData.name}</p>
-              <p><strong>Email:</strong> <a href="mailto:${contactData.email}">${contactData.email}</a></p>
-              <p><strong>Phone:</strong> <a href="tel:+91${contactData.phone}">+91-${contactData.phone}</a></p>
-              <p><strong>Submitted At:</strong> ${new Date(contactData.submittedAt).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}</p>
-            
-            </div>
-            
-            <div style="background-color: #fff; border: 1px solid #dee2e6; padding: 20px; border-radius: 5px;">
-              <h3 style="color: #333; margin-top: 0;">Message:</h3>
-              <p style="line-height: 1.6; color: #555;">${contactData.message}</p>
-            </div>
-            
-            <div style="margin-top: 30px; padding: 20px; background-color: #e7f3ff; border-radius: 5px;">
-              <p style="margin: 0; color: #0066cc;">
-                <strong>Quick Actions:</strong><br>
-                 Call: <a href="tel:+91${contactData.phone}">+91-${contactData.phone}</a><br>
-                 Reply: <a href="mailto:${contactData.email}">Send Email</a><br>
-                 WhatsApp: <a href="https://wa.me/91${contactData.phone}">Send Message</a>
-              </p>
-            </div>
-          </div>
-        `,
-      }
+      const { subject, html, text } = this.buildContactNotification(contactData)
 
-      await this.transporter.sendMail(mailOptions)
-      console.log(" Contact notification email sent successfully")
+      await this.sendMail({
+        to: config.adminEmail,
+        subject,
+        html,
+        text,
+      })
+      logger.info("Contact notification email sent", { contactId: contactData.contactId })
     } catch (error) {
-      console.error(" Error sending contact notification email:", error.message)
+      logger.error("Error sending contact notification email", { contactId: contactData.contactId, error })
       throw error
     }
   }
 
   async sendAutoReply(contactData) {
-    if (!this.ensureTransporter()) {
-      console.log(" Email service not configured, skipping auto-reply")
+    if (!this.ensureTransport()) {
+      logger.info("Email service not configured, skipping auto-reply")
       return
     }
 
     try {
-      const mailOptions = {
-        from: process.env.SMTP_USER,
+      const { subject, html, text } = this.buildAutoReply(contactData)
+
+      await this.sendMail({
         to: contactData.email,
-        subject: "Thank you for contacting Delhi Digital Co.",
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #007bff, #0056b3); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-              <h1 style="margin: 0; font-size: 28px;">Thank You!</h1>
-              <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">We've received your inquiry</p>
-            </div>
-            
-            <div style="background-color: #fff; padding: 30px; border: 1px solid #dee2e6; border-top: none;">
-              <p style="font-size: 18px; color: #333; margin-bottom: 20px;">Dear <strong>${contactData.name}</strong>,</p>
-              
-              <p style="line-height: 1.6; color: #555; margin-bottom: 20px;">
-                Thank you for reaching out to Delhi Digital Co! We have successfully received your message and our team will review it carefully.
-              </p>
-              
-              <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="color: #007bff; margin-top: 0;">What happens next?</h3>
-                <ul style="color: #555; line-height: 1.8;">
-                  <li>Our expert team will review your requirements</li>
-                  <li>We'll prepare a customized solution for your project</li>
-                  <li>You'll receive a detailed response within <strong>24 hours</strong></li>
-                  <li>We'll schedule a free consultation call to discuss your needs</li>
-                </ul>
-              </div>
-              
-              <div style="background-color: #e7f3ff; padding: 20px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="color: #0066cc; margin-top: 0;">Need immediate assistance?</h3>
-                <p style="margin: 10px 0; color: #555;">
-                   <strong>Call us:</strong> <a href="tel:+919205110208" style="color: #007bff; text-decoration: none;">+91-92051-10208</a><br>
-                   <strong>WhatsApp:</strong> <a href="https://wa.me/919205110208" style="color: #007bff; text-decoration: none;">Chat with us instantly</a><br>
-                   <strong>Email:</strong> <a href="mailto:hello@delhidigital.co" style="color: #007bff; text-decoration: none;">pradum@delhidigital.co</a>
-                </p>
-              </div>
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
-                <p style="color: #666; margin-bottom: 10px;">Best regards,</p>
-                <p style="color: #007bff; font-weight: bold; margin: 0;">Delhi Digital Co Team</p>
-                <p style="color: #888; font-size: 14px; margin: 5px 0 0 0;">Your Trusted Shopify Development Partner</p>
-              </div>
-            </div>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; border: 1px solid #dee2e6; border-top: none;">
-              <p style="margin: 0; color: #666; font-size: 12px;">
-                This is an automated response. Please do not reply to this email.<br>
-                For support, contact us at <a href="mailto:hello@delhidigital.co" style="color: #007bff;">pradum@delhidigital.co</a>
-              </p>
-            </div>
-          </div>
-        `,
-      }
+        subject,
+        html,
+        text,
+      })
+      logger.info("Auto-reply email sent", { contactId: contactData.contactId })
+    } catch (error) {
+      logger.error("Error sending auto-reply email", { contactId: contactData.contactId, error })
+      throw error
+    }
+  }
+
+  async sendFollowUp(followUpData) {
+    if (!this.ensureTransport()) {
+      logger.info("Email service not configured, skipping follow-up")
+      return
+    }
+
+    try {
+      const { subject, html, text } = this.buildFollowUp(followUpData)
+
+      await this.sendMail({
+        to: followUpData.email,
+        subject,
+        html,
+        text,
+        // One-click unsubscribe in mail clients (RFC 8058); the link POSTs to the unsubscribe route
+        headers: {
+          "List-Unsubscribe": `<${followUpData.unsubscribeUrl}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+      })
+      logger.info("Follow-up email sent", { contactId: followUpData.contactId, template: followUpData.template })
+    } catch (error) {
+      logger.error("Error sending follow-up email", { contactId: followUpData.contactId, error })
+      throw error
+    }
+  }
+
+  async sendBookingConfirmation(bookingData) {
+    if (!this.ensureTransport()) {
+      logger.info("Email service not configured, skipping booking confirmation")
+      return
+    }
+
+    try {
+      const { subject, html, text } = this.buildBookingConfirmation(bookingData)
+
+      await this.sendMail({
+        to: bookingData.email,
+        subject,
+        html,
+        text,
+        attachments: [this.bookingInvite(bookingData, "REQUEST")],
+      })
+      logger.info("Booking confirmation email sent", { bookingId: bookingData.bookingId })
+    } catch (error) {
+      logger.error("Error sending booking confirmation email", { bookingId: bookingData.bookingId, error })
+      throw error
+    }
+  }
+
+  async sendBookingCancellation(bookingData) {
+    if (!this.ensureTransport()) {
+      logger.info("Email service not configured, skipping booking cancellation")
+      return
+    }
+
+    try {
+      const { subject, html, text } = this.buildBookingCancellation(bookingData)
+
+      await this.sendMail({
+        to: bookingData.email,
+        subject,
+        html,
+        text,
+        attachments: [this.bookingInvite(bookingData, "CANCEL")],
+      })
+      logger.info("Booking cancellation email sent", { bookingId: bookingData.bookingId })
+    } catch (error) {
+      logger.error("Error sending booking cancellation email", { bookingId: bookingData.bookingId, error })
+      throw error
+    }
+  }
+
+  async sendAdminInvite(inviteData) {
+    if (!this.ensureTransport()) {
+      logger.info("Email service not configured, skipping admin invite")
+      return
+    }
+
+    try {
+      const { subject, html, text } = this.buildAdminInvite(inviteData)
 
-      await this.transporter.sendMail(mailOptions)
-      console.log(" Auto-reply email sent successfully")
+      await this.sendMail({
+        to: inviteData.email,
+        subject,
+        html,
+        text,
+      })
+      logger.info("Admin invite email sent")
     } catch (error) {
-      console.error(" Error sending auto-reply email:", error.message)
+      logger.error("Error sending admin invite email", { error })
       throw error
     }
   }
 }
 
 module.exports = new EmailService()
+module.exports.EmailService = EmailService
@@ -0,0 +1,104 @@
+const fs = require("fs")
+const path = require("path")
+const config = require("../config")
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates", "emails")
+const LOCALES = ["en", "hi"]
+const DEFAULT_LOCALE = "en"
+
+// Each template is a directory holding "<locale>[.<formType>].<part>" files,
+// e.g. auto-reply/hi.html or auto-reply/en.final.subject
+const PARTS = ["subject", "html", "txt"]
+
+const cache = new Map()
+
+// Company details used by every template (COMPANY_* settings)
+function companyDetails() {
+  return { ...config.company }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+function readPart(file) {
+  if (!cache.has(file) || config.isDevelopment) {
+    cache.set(file, fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null)
+  }
+  return cache.get(file)
+}
+
+// Most specific file wins: requested locale + formType, requested locale,
+// default locale + formType, default locale
+function resolvePart(name, part, locale, formType) {
+  const candidates = []
+  const variant = formType && /^[a-z0-9-]+$/.test(formType) ? formType : null
+  for (const loc of [...new Set([locale, DEFAULT_LOCALE])]) {
+    if (variant) candidates.push(`${loc}.${variant}.${part}`)
+    candidates.push(`${loc}.${part}`)
+  }
+
+  for (const candidate of candidates) {
+    const content = readPart(path.join(TEMPLATES_DIR, name, candidate))
+    if (content !== null) return content
+  }
+  return null
+}
+
+function lookup(data, key) {
+  return key.split(".").reduce((value, segment) => (value == null ? value : value[segment]), data)
+}
+
+// Replaces {{ path.to.value }} with the value, HTML-escaped unless escape is false.
+// {{{ path.to.value }}} inserts the value as-is; only use it for HTML built by EmailService.
+function interpolate(template, data, escape) {
+  return template
+    .replace(/{{{\s*([\w.]+)\s*}}}/g, (match, key) => {
+      const value = lookup(data, key)
+      return value == null ? "" : String(value)
+    })
+    .replace(/{{\s*([\w.]+)\s*}}/g, (match, key) => {
+      const value = lookup(data, key)
+      if (value == null) return ""
+      return escape ? escapeHtml(value) : String(value)
+    })
+}
+
+function templateExists(name) {
+  return /^[a-z0-9-]+$/.test(name) && fs.existsSync(path.join(TEMPLATES_DIR, name))
+}
+
+function listTemplates() {
+  return fs
+    .readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+}
+
+// Renders a template into { subject, html, text }
+function render(name, { locale = DEFAULT_LOCALE, formType, data = {} } = {}) {
+  if (!templateExists(name)) {
+    throw new Error(`Unknown email template: ${name}`)
+  }
+
+  const resolvedLocale = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE
+  const context = { company: companyDetails(), ...data }
+  const [subject, html, text] = PARTS.map((part) => resolvePart(name, part, resolvedLocale, formType))
+
+  if (!subject || !html) {
+    throw new Error(`Email template ${name} is missing a subject or html file`)
+  }
+
+  return {
+    subject: interpolate(subject.trim(), context, false),
+    html: interpolate(html, context, true),
+    text: text ? interpolate(text, context, false) : undefined,
+  }
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, escapeHtml, render, listTemplates, templateExists }
@@ -0,0 +1,63 @@
+// File types accepted as attachments. A file is only accepted when its content starts with the
+// signature ("magic bytes") of the type it was uploaded as, so a renamed executable or an HTML page
+// labelled image/png is refused whatever the browser said.
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0))
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04]
+// Office documents are ZIP archives; the first entries name the part that tells them apart
+const officeDocument = (folder) => (buffer) =>
+  startsWith(buffer, ZIP) && buffer.subarray(0, 4096).includes(`${folder}/`)
+
+const FILE_TYPES = {
+  pdf: {
+    mimeType: "application/pdf",
+    extensions: [".pdf"],
+    matches: (buffer) => startsWith(buffer, ascii("%PDF-")),
+  },
+  png: {
+    mimeType: "image/png",
+    extensions: [".png"],
+    matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  jpeg: {
+    mimeType: "image/jpeg",
+    extensions: [".jpg", ".jpeg"],
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  gif: {
+    mimeType: "image/gif",
+    extensions: [".gif"],
+    matches: (buffer) => startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a")),
+  },
+  webp: {
+    mimeType: "image/webp",
+    extensions: [".webp"],
+    matches: (buffer) => startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8),
+  },
+  docx: {
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extensions: [".docx"],
+    matches: officeDocument("word"),
+  },
+  xlsx: {
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extensions: [".xlsx"],
+    matches: officeDocument("xl"),
+  },
+  pptx: {
+    mimeType: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    extensions: [".pptx"],
+    matches: officeDocument("ppt"),
+  },
+}
+
+// The allowed type a file was uploaded as (by MIME type), if its content matches it
+function detectFileType(buffer, mimeType, allowed = Object.keys(FILE_TYPES)) {
+  const name = allowed.find((type) => FILE_TYPES[type].mimeType === mimeType)
+  if (!name || !FILE_TYPES[name].matches(buffer)) return null
+  return { name, ...FILE_TYPES[name] }
+}
+
+module.exports = { FILE_TYPES, detectFileType }
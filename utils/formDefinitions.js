@@ -0,0 +1,159 @@
+const validator = require("validator")
+const FormDefinition = require("../models/FormDefinition")
+const { parsePhone } = require("./phone")
+
+const CACHE_TTL_MS = 60 * 1000
+const DEFAULT_MAX_LENGTH = 1000
+// Admin-written patterns run against public input, so both are kept short to bound backtracking
+const MAX_PATTERN_LENGTH = 200
+const MAX_PATTERN_INPUT_LENGTH = 200
+// A quantified group that is itself quantified, e.g. (a+)+ or (\w*)*: the classic catastrophic backtracking shape
+const NESTED_QUANTIFIER = /\([^()]*[+*}]\)[+*{]/
+
+// The two original landing-page forms; created on startup if missing
+const DEFAULT_DEFINITIONS = [
+  { key: "hero", name: "Hero form", description: "Contact form at the top of the landing page" },
+  { key: "final", name: "Final form", description: "Contact form at the bottom of the landing page" },
+]
+
+let cache = null
+let cachedAt = 0
+
+async function loadDefinitions() {
+  if (!cache || Date.now() - cachedAt > CACHE_TTL_MS) {
+    const definitions = await FormDefinition.find({ active: true }).lean()
+    cache = new Map(definitions.map((definition) => [definition.key, definition]))
+    cachedAt = Date.now()
+  }
+  return cache
+}
+
+// Active definition for a form key, or null
+async function getDefinition(key) {
+  if (typeof key !== "string") return null
+  const definitions = await loadDefinitions()
+  return definitions.get(key) || null
+}
+
+// Call after any change to definitions
+function invalidateCache() {
+  cache = null
+}
+
+async function ensureDefaultDefinitions() {
+  for (const definition of DEFAULT_DEFINITIONS) {
+    await FormDefinition.updateOne({ key: definition.key }, { $setOnInsert: definition }, { upsert: true })
+  }
+  invalidateCache()
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)
+}
+
+// Why a field pattern can't be saved, or null if it can
+function patternProblem(pattern) {
+  if (typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`
+  }
+  try {
+    new RegExp(pattern)
+  } catch {
+    return "pattern must be a valid regular expression"
+  }
+  if (NESTED_QUANTIFIER.test(pattern)) return "pattern must not repeat a group that is itself repeated, like (a+)+"
+  return null
+}
+
+// Returns [error message, sanitized value] for one field
+function checkField(field, raw) {
+  const value = typeof raw === "string" ? raw.trim() : raw
+
+  switch (field.type) {
+    case "text":
+    case "textarea": {
+      if (typeof value !== "string") return [`${field.label} must be text`]
+      const min = field.minLength || 0
+      const max = field.maxLength || DEFAULT_MAX_LENGTH
+      if (value.length < min || value.length > max) {
+        return [`${field.label} must be between ${min} and ${max} characters`]
+      }
+      if (field.pattern) {
+        if (value.length > MAX_PATTERN_INPUT_LENGTH) {
+          return [`${field.label} must be at most ${MAX_PATTERN_INPUT_LENGTH} characters`]
+        }
+        if (!new RegExp(field.pattern).test(value)) return [`${field.label} is not in the expected format`]
+      }
+      return [null, value]
+    }
+    case "email":
+      if (typeof value !== "string" || !validator.isEmail(value)) return [`${field.label} must be a valid email address`]
+      return [null, value.toLowerCase()]
+    case "phone": {
+      const phone = parsePhone(value)
+      if (!phone) return [`${field.label} must be a valid phone number`]
+      return [null, phone.e164]
+    }
+    case "url":
+      if (typeof value !== "string" || !validator.isURL(value, { protocols: ["http", "https"] })) {
+        return [`${field.label} must be a valid URL`]
+      }
+      return [null, value]
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value)
+      if (value === "" || !Number.isFinite(number)) return [`${field.label} must be a number`]
+      if ((field.min != null && number < field.min) || (field.max != null && number > field.max)) {
+        return [`${field.label} must be between ${field.min ?? "-∞"} and ${field.max ?? "∞"}`]
+      }
+      return [null, number]
+    }
+    case "select": {
+      const allowed = field.options.map((option) => option.value)
+      const values = field.multiple ? [].concat(value) : [value]
+      if (!field.multiple && Array.isArray(value)) return [`${field.label} must be a single choice`]
+      if (!values.every((item) => allowed.includes(item))) return [`${field.label} must be one of: ${allowed.join(", ")}`]
+      return [null, field.multiple ? values : value]
+    }
+    case "checkbox":
+      if (![true, false, "true", "false"].includes(value)) return [`${field.label} must be true or false`]
+      return [null, value === true || value === "true"]
+    default:
+      return [`${field.label} has an unsupported type`]
+  }
+}
+
+// Validates submitted extra fields against a definition. Unknown fields are dropped.
+// Errors use the same shape as express-validator so they can be returned together.
+function validateCustomFields(definition, input = {}) {
+  const errors = []
+  const values = {}
+  const source = input && typeof input === "object" ? input : {}
+
+  for (const field of definition.fields || []) {
+    const raw = source[field.name]
+
+    if (isEmpty(raw)) {
+      if (field.required) {
+        errors.push({ type: "field", location: "body", path: `fields.${field.name}`, msg: `${field.label} is required` })
+      }
+      continue
+    }
+
+    const [error, value] = checkField(field, raw)
+    if (error) {
+      errors.push({ type: "field", location: "body", path: `fields.${field.name}`, value: raw, msg: error })
+    } else {
+      values[field.name] = value
+    }
+  }
+
+  return { errors, values }
+}
+
+module.exports = {
+  getDefinition,
+  invalidateCache,
+  ensureDefaultDefinitions,
+  validateCustomFields,
+  patternProblem,
+}
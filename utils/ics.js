@@ -0,0 +1,68 @@
+const config = require("../config")
+
+// iCalendar (RFC 5545) invites for booked calls, attached to the booking emails
+
+// 20261020T043000Z
+function formatTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+}
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting a character
+function foldLine(line) {
+  const parts = []
+  let current = ""
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current)
+      current = ""
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join("\r\n ")
+}
+
+// mailto: address with the display name as a CN parameter
+function calAddress(property, { name, email }, params = []) {
+  const cn = name ? [`CN="${String(name).replace(/["\\]/g, "")}"`] : []
+  return `${[property, ...cn, ...params].join(";")}:mailto:${email}`
+}
+
+// A calendar with one event. method is "REQUEST" for a new or moved booking and "CANCEL" to remove it;
+// calendars match updates by uid and keep the one with the highest sequence.
+function buildInvite(event) {
+  const { uid, sequence = 0, method = "REQUEST", startsAt, endsAt, summary, description, organizer, attendee } = event
+  const cancelled = method === "CANCEL"
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${config.company.name}//Landing Page API//EN`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatTimestamp(new Date())}`,
+    `DTSTART:${formatTimestamp(startsAt)}`,
+    `DTEND:${formatTimestamp(endsAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    calAddress("ORGANIZER", organizer),
+    calAddress("ATTENDEE", attendee, ["ROLE=REQ-PARTICIPANT", `PARTSTAT=${cancelled ? "DECLINED" : "ACCEPTED"}`]),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+  return `${lines.filter(Boolean).map(foldLine).join("\r\n")}\r\n`
+}
+
+module.exports = { buildInvite }
@@ -0,0 +1,26 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const config = require("../config")
+
+// Tokens in links emailed to leads (unsubscribe, managing a booking). Each purpose signs with its own
+// key derived from JWT_SECRET, so a link token never passes as an admin token or as another purpose's.
+function keyFor(purpose) {
+  return crypto.createHmac("sha256", config.auth.jwtSecret).update(`link-token:${purpose}`).digest()
+}
+
+// subject is what the link acts on, e.g. a contact id. Tokens without expiresIn don't expire.
+function signLinkToken(purpose, subject, { expiresIn } = {}) {
+  return jwt.sign({ sub: String(subject) }, keyFor(purpose), { audience: purpose, ...(expiresIn && { expiresIn }) })
+}
+
+// The subject of a valid token for the purpose, otherwise null
+function verifyLinkToken(purpose, token) {
+  if (typeof token !== "string" || token === "") return null
+  try {
+    return jwt.verify(token, keyFor(purpose), { audience: purpose }).sub
+  } catch {
+    return null
+  }
+}
+
+module.exports = { signLinkToken, verifyLinkToken }
@@ -0,0 +1,106 @@
+const { AsyncLocalStorage } = require("async_hooks")
+const config = require("../config")
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: 100 }
+
+// Keys whose values are personal data or credentials; they never reach the logs
+const REDACTED_KEYS = new Set([
+  "email",
+  "to",
+  "phone",
+  "password",
+  "passwordhash",
+  "token",
+  "accesstoken",
+  "refreshtoken",
+  "captchatoken",
+  "recaptchatoken",
+  "authorization",
+  "cookie",
+  "secret",
+  "ip",
+  "ipaddress",
+])
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@([^\s@<>"'(),;:]+\.[a-z]{2,})/gi
+const PHONE_PATTERN = /\+[1-9][0-9]{6,14}\b/g
+const MAX_DEPTH = 5
+
+// Request-scoped data (the request id) available to everything a request calls
+const context = new AsyncLocalStorage()
+
+function resolveLevel() {
+  const name = config.logLevel
+  return LEVELS[name] ?? LEVELS.info
+}
+
+let threshold = resolveLevel()
+
+// Email addresses and phone numbers that slip into free text (e.g. provider error messages)
+function redactText(text) {
+  return text.replace(EMAIL_PATTERN, "[email]@$1").replace(PHONE_PATTERN, "[phone]")
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactText(String(error.message)),
+    code: error.code,
+    stack: error.stack ? redactText(error.stack) : undefined,
+  }
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value)
+  if (typeof value === "string") return redactText(value)
+  if (value === null || typeof value !== "object" || value instanceof Date) return value
+  if (depth >= MAX_DEPTH) return "[truncated]"
+  if (typeof value.toHexString === "function") return value.toString()
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1))
+
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_KEYS.has(key.toLowerCase()) && item != null ? "[redacted]" : redact(item, depth + 1)
+  }
+  return result
+}
+
+// One JSON object per line: { time, level, msg, requestId, ...fields }
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold) return
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(msg),
+    requestId: getRequestId(),
+    ...redact(fields || {}),
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  stream.write(`${JSON.stringify(entry)}\n`)
+}
+
+function getRequestId() {
+  return context.getStore()?.requestId
+}
+
+// Runs fn with the given request id attached to every log line and record it writes
+function runWithRequestId(requestId, fn) {
+  return context.run({ requestId }, fn)
+}
+
+// Changes the level at runtime (e.g. in tests); defaults back to LOG_LEVEL
+function setLevel(level = config.logLevel) {
+  threshold = LEVELS[String(level).toLowerCase()] ?? LEVELS.info
+}
+
+module.exports = {
+  LEVELS,
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+  redact,
+  getRequestId,
+  runWithRequestId,
+  setLevel,
+}
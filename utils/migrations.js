@@ -0,0 +1,121 @@
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+const Migration = require("../models/Migration")
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations")
+// "<version>-<name>.js", e.g. 003-add-consent-fields.js; versions sort as strings, so keep them zero-padded
+const FILE_PATTERN = /^(\d{3,})-([a-z0-9-]+)\.js$/
+
+// Every migration file exports:
+//   description   one line shown by `npm run migrate status`
+//   up(db)        applies the change; db is the native MongoDB database (not Mongoose models,
+//                 which keep changing after the migration is written)
+//   down(db)      reverts it; leave it out for changes that can't be undone
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(FILE_PATTERN)
+      const migration = require(path.join(dir, file))
+      if (typeof migration.up !== "function") throw new Error(`Migration ${file} does not export up()`)
+      return { version, name, file, description: migration.description, up: migration.up, down: migration.down }
+    })
+
+  const versions = migrations.map((migration) => migration.version)
+  const repeated = versions.find((version, index) => versions.indexOf(version) !== index)
+  if (repeated) throw new Error(`Two migrations share version ${repeated}`)
+
+  return migrations
+}
+
+// Every migration with its appliedAt date (null while pending)
+async function status(migrations = loadMigrations()) {
+  const applied = new Map((await Migration.find().lean()).map((record) => [record.version, record]))
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    appliedAt: applied.get(migration.version)?.appliedAt || null,
+  }))
+}
+
+async function pending(migrations = loadMigrations()) {
+  const applied = new Set(await Migration.distinct("version"))
+  return migrations.filter((migration) => !applied.has(migration.version))
+}
+
+// Applies pending migrations in version order, up to and including `to` if given.
+// Stops at the first failure; migrations applied before it stay applied. onApply is called
+// before each one runs.
+async function up({ to, migrations = loadMigrations(), onApply = () => {} } = {}) {
+  const applied = []
+  for (const migration of await pending(migrations)) {
+    if (to && migration.version > to) break
+
+    onApply(migration)
+    const startedAt = Date.now()
+    await migration.up(mongoose.connection.db)
+    await Migration.create({ version: migration.version, name: migration.name, durationMs: Date.now() - startedAt })
+
+    applied.push(migration)
+  }
+  return applied
+}
+
+// Rolls back the most recent `steps` migrations, or every migration after `to`
+async function down({ steps = 1, to, migrations = loadMigrations(), onRevert = () => {} } = {}) {
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]))
+  const records = await Migration.find().sort({ version: -1 }).lean()
+  const targets = to ? records.filter((record) => record.version > to) : records.slice(0, steps)
+
+  // Checked up front so a rollback never stops halfway at an irreversible migration
+  const toRevert = targets.map((record) => {
+    const migration = byVersion.get(record.version)
+    if (!migration) throw new Error(`Migration ${record.version}-${record.name} is applied but its file is missing`)
+    if (typeof migration.down !== "function") {
+      throw new Error(`Migration ${migration.file} cannot be rolled back (it has no down())`)
+    }
+    return migration
+  })
+
+  const reverted = []
+  for (const migration of toRevert) {
+    onRevert(migration)
+    await migration.down(mongoose.connection.db)
+    await Migration.deleteOne({ version: migration.version })
+
+    reverted.push(migration)
+  }
+  return reverted
+}
+
+// Writes an empty migration numbered after the latest one and returns its path
+function create(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+  if (!slug) throw new Error("Give the migration a name, e.g. add-consent-fields")
+
+  const latest = loadMigrations(dir).pop()
+  const version = String(latest ? Number(latest.version) + 1 : 1).padStart(3, "0")
+  const file = path.join(dir, `${version}-${slug}.js`)
+
+  fs.writeFileSync(
+    file,
+    `module.exports = {
+  description: "",
+
+  async up(db) {},
+
+  async down(db) {},
+}
+`,
+  )
+  return file
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, status, pending, up, down, create }
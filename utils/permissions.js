@@ -0,0 +1,28 @@
+// Admin roles, from most to least privileged
+const ROLES = ["owner", "manager", "sales-viewer"]
+
+// What each role is allowed to do
+const ROLE_PERMISSIONS = {
+  owner: [
+    "contacts:read",
+    "contacts:update",
+    "contacts:delete",
+    "contacts:export",
+    "admins:manage",
+    "emails:manage",
+    "webhooks:manage",
+    "forms:manage",
+    "reports:read",
+    "privacy:manage",
+    "audit:read",
+    "bookings:manage",
+  ],
+  manager: ["contacts:read", "contacts:update", "emails:manage", "reports:read", "bookings:manage"],
+  "sales-viewer": ["contacts:read"],
+}
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission)
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission }
@@ -0,0 +1,41 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js")
+const config = require("../config")
+
+// Country assumed for numbers entered without a country code
+const DEFAULT_COUNTRY = config.phone.defaultCountry
+const E164_PATTERN = /^\+[1-9][0-9]{6,14}$/
+
+// Parses a number typed in any common format ("98765 43210", "+44 20 7946 0958",
+// "(415) 555-2671" with country "US"). Returns null unless it is a valid number.
+function parsePhone(input, country = DEFAULT_COUNTRY) {
+  if (typeof input !== "string" || !input.trim()) return null
+
+  const defaultCountry = typeof country === "string" && country ? country.toUpperCase() : DEFAULT_COUNTRY
+  const number = parsePhoneNumberFromString(input.trim(), defaultCountry)
+  if (!number || !number.isValid()) return null
+
+  return {
+    e164: number.number,
+    country: number.country,
+    callingCode: number.countryCallingCode,
+  }
+}
+
+// Display and link forms of a stored number. Older contacts stored 10 digits without
+// a country code; those are read as DEFAULT_COUNTRY numbers.
+function formatPhone(value) {
+  const number = typeof value === "string" ? parsePhoneNumberFromString(value, DEFAULT_COUNTRY) : null
+  if (!number) {
+    return { e164: value, international: value, national: value, tel: value, whatsapp: value }
+  }
+
+  return {
+    e164: number.number,
+    international: number.formatInternational(),
+    national: number.formatNational(),
+    tel: number.getURI().replace(/^tel:/, ""),
+    whatsapp: number.number.slice(1),
+  }
+}
+
+module.exports = { DEFAULT_COUNTRY, E164_PATTERN, parsePhone, formatPhone }
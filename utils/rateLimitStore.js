@@ -0,0 +1,56 @@
+const RateLimit = require("../models/RateLimit")
+
+// express-rate-limit store backed by MongoDB. One instance per limiter; the prefix
+// keeps the keys of different limiters apart.
+class MongoRateLimitStore {
+  constructor(prefix) {
+    this.prefix = prefix
+    this.localKeys = false
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs
+  }
+
+  async get(key) {
+    const counter = await RateLimit.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } }).lean()
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined
+  }
+
+  // Starts a new window when the current one is over, otherwise counts the hit in it.
+  // A single pipeline update keeps this atomic across instances.
+  async increment(key, retried = false) {
+    const now = new Date()
+    const active = { $gt: ["$resetAt", now] }
+
+    try {
+      const counter = await RateLimit.findOneAndUpdate(
+        { key: this.prefix + key },
+        [
+          {
+            $set: {
+              hits: { $cond: [active, { $add: ["$hits", 1] }, 1] },
+              resetAt: { $cond: [active, "$resetAt", new Date(now.getTime() + this.windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, new: true, lean: true },
+      )
+      return { totalHits: counter.hits, resetTime: counter.resetAt }
+    } catch (error) {
+      // Two instances inserted the same new key at once; the retry updates the winner's document
+      if (error.code === 11000 && !retried) return this.increment(key, true)
+      throw error
+    }
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne({ key: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } })
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.prefix + key })
+  }
+}
+
+module.exports = MongoRateLimitStore
@@ -0,0 +1,91 @@
+const rateLimit = require("express-rate-limit")
+const MongoRateLimitStore = require("./rateLimitStore")
+const config = require("../config")
+
+// Response sent by each route's limiter. Limits come from config.rateLimits
+// (RATE_LIMIT_<ROUTE>_MAX and RATE_LIMIT_<ROUTE>_WINDOW_MINUTES).
+const ROUTE_LIMITS = {
+  contact: {
+    message: {
+      success: false,
+      error: "Too many form submissions, please try again later.",
+    },
+  },
+  login: {
+    message: {
+      success: false,
+      message: "Too many login attempts, please try again later.",
+    },
+  },
+  booking: {
+    message: {
+      success: false,
+      message: "Too many booking requests, please try again later.",
+    },
+  },
+}
+
+const FORM_LIMIT_MESSAGE = ROUTE_LIMITS.contact.message
+
+// Per-form limiters, created the first time a form with its own limit is submitted
+const formLimiters = new Map()
+
+// RATE_LIMIT_STORE: "mongo" (default) shares counters between instances and survives
+// serverless cold starts; "memory" keeps them in the process
+function createStore(prefix) {
+  return config.rateLimits.store === "mongo" ? new MongoRateLimitStore(prefix) : undefined
+}
+
+function createLimiter({ prefix, max, windowMinutes, message, validate }) {
+  return rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit: max,
+    message,
+    store: createStore(prefix),
+    standardHeaders: true,
+    legacyHeaders: false,
+    // A database outage should not lock every visitor out
+    passOnStoreError: true,
+    validate,
+  })
+}
+
+// Limiter for one of the routes in ROUTE_LIMITS
+function routeLimiter(name) {
+  const route = ROUTE_LIMITS[name]
+  const limits = config.rateLimits[name]
+  if (!route || !limits) throw new Error(`Unknown rate limit "${name}"`)
+
+  return createLimiter({
+    prefix: `${name}:`,
+    max: limits.max,
+    windowMinutes: limits.windowMinutes,
+    message: route.message,
+  })
+}
+
+// Applies the rateLimit set on the submitted form's definition, if any.
+// Runs after validateFormSubmission, which sets req.formDefinition.
+function formLimiter(req, res, next) {
+  const definition = req.formDefinition
+  const settings = definition && definition.rateLimit
+  if (!settings || !settings.max || !settings.windowMinutes) return next()
+
+  // Editing a form's limit starts a fresh limiter for it
+  const cacheKey = `${definition.key}:${settings.max}:${settings.windowMinutes}`
+  let limiter = formLimiters.get(cacheKey)
+  if (!limiter) {
+    limiter = createLimiter({
+      prefix: `form:${cacheKey}:`,
+      max: settings.max,
+      windowMinutes: settings.windowMinutes,
+      message: FORM_LIMIT_MESSAGE,
+      // Created lazily on purpose, with one limiter per form and setting
+      validate: { creationStack: false },
+    })
+    formLimiters.set(cacheKey, limiter)
+  }
+  return limiter(req, res, next)
+}
+
+module.exports = { ROUTE_LIMITS, routeLimiter, formLimiter }
@@ -0,0 +1,74 @@
+// Built-in checks that need no third-party service. Each returns
+// { result: "pass" } or { result: "spam", reason }.
+
+// Words that never appear in a genuine Shopify enquiry. SPAM_KEYWORDS replaces this list.
+const DEFAULT_KEYWORDS = ["viagra", "cialis", "casino", "porn", "escort", "payday loan", "forex signals", "crypto giveaway"]
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\[url[=\]]/gi
+
+// A field hidden from people with CSS; bots that fill in every input give themselves away
+function createHoneypotCheck(settings) {
+  const field = settings.honeypotField
+
+  return {
+    name: "honeypot",
+    check({ body }) {
+      const value = body[field]
+      if (value !== undefined && value !== null && String(value).trim() !== "") {
+        return { result: "spam", reason: `Honeypot field "${field}" was filled in` }
+      }
+      return { result: "pass" }
+    },
+  }
+}
+
+// Flags forms submitted faster than a person could fill them in. The frontend sends the
+// time the form was rendered as formStartedAt (epoch milliseconds); without it the check is skipped.
+function createTimingCheck(settings) {
+  const minSeconds = settings.minSubmitSeconds
+
+  return {
+    name: "timing",
+    check({ body }) {
+      if (body.formStartedAt === undefined || body.formStartedAt === "") return { result: "pass" }
+
+      const startedAt = Number(body.formStartedAt)
+      if (!Number.isFinite(startedAt)) {
+        return { result: "spam", reason: "formStartedAt is not a timestamp" }
+      }
+
+      const elapsedSeconds = (Date.now() - startedAt) / 1000
+      if (elapsedSeconds < minSeconds) {
+        return { result: "spam", reason: `Submitted ${Math.max(elapsedSeconds, 0).toFixed(1)}s after the form loaded` }
+      }
+      return { result: "pass" }
+    },
+  }
+}
+
+// Keyword and link heuristics on the message
+function createContentCheck(settings) {
+  const keywords = settings.keywords ? settings.keywords.map((word) => word.toLowerCase()) : DEFAULT_KEYWORDS
+  const maxLinks = settings.maxLinks
+
+  return {
+    name: "content",
+    check({ body }) {
+      const message = typeof body.message === "string" ? body.message.toLowerCase() : ""
+      if (!message) return { result: "pass" }
+
+      const keyword = keywords.find((word) => message.includes(word))
+      if (keyword) return { result: "spam", reason: `Message contains "${keyword}"` }
+
+      const links = (message.match(LINK_PATTERN) || []).length
+      if (links > maxLinks) return { result: "spam", reason: `Message contains ${links} links` }
+
+      return { result: "pass" }
+    },
+  }
+}
+
+module.exports = {
+  createHoneypotCheck,
+  createTimingCheck,
+  createContentCheck,
+}
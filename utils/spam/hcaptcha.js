@@ -0,0 +1,25 @@
+const axios = require("axios")
+
+const VERIFY_URL = "https://api.hcaptcha.com/siteverify"
+
+// hCaptcha. HCAPTCHA_SITE_KEY is optional; when set, tokens issued for other sites are rejected.
+function createHcaptchaProvider({ hcaptcha }) {
+  return {
+    name: "hcaptcha",
+    isConfigured: () => Boolean(hcaptcha.secretKey),
+    async verify(token, ip) {
+      const params = new URLSearchParams({ secret: hcaptcha.secretKey, response: token })
+      if (ip) params.set("remoteip", ip)
+      if (hcaptcha.siteKey) params.set("sitekey", hcaptcha.siteKey)
+
+      const { data } = await axios.post(VERIFY_URL, params, { timeout: 5000 })
+
+      if (!data.success) {
+        return { result: "reject", reason: `hCaptcha rejected the token (${(data["error-codes"] || []).join(", ")})` }
+      }
+      return { result: "pass" }
+    },
+  }
+}
+
+module.exports = createHcaptchaProvider
@@ -0,0 +1,91 @@
+const createRecaptchaProvider = require("./recaptcha")
+const createHcaptchaProvider = require("./hcaptcha")
+const createTurnstileProvider = require("./turnstile")
+const { createHoneypotCheck, createTimingCheck, createContentCheck } = require("./checks")
+
+// Every captcha provider exposes the same interface:
+//   name                 provider identifier reported in /api/health
+//   isConfigured()       whether the secret key is present
+//   verify(token, ip)    resolves to { result: "pass" | "spam" | "reject", reason }
+const CAPTCHA_PROVIDERS = {
+  recaptcha: createRecaptchaProvider,
+  hcaptcha: createHcaptchaProvider,
+  turnstile: createTurnstileProvider,
+}
+
+const CHECKS = {
+  captcha: createCaptchaCheck,
+  honeypot: createHoneypotCheck,
+  timing: createTimingCheck,
+  content: createContentCheck,
+}
+
+// spam.captchaProvider (CAPTCHA_PROVIDER) picks the provider; "none" turns captcha off
+function createCaptchaProvider(settings) {
+  const name = settings.captchaProvider
+  if (name === "none") return null
+
+  const factory = CAPTCHA_PROVIDERS[name]
+  if (!factory) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER "${name}". Use one of: ${Object.keys(CAPTCHA_PROVIDERS).join(", ")}, none`)
+  }
+  return factory(settings)
+}
+
+// A missing token or a token the provider refuses is rejected, so the visitor can retry.
+// A provider that is unreachable or has no secret key never lets submissions through
+// unchecked: they are kept, but flagged for review.
+function createCaptchaCheck(settings) {
+  const provider = createCaptchaProvider(settings)
+
+  return {
+    name: "captcha",
+    provider,
+    async check({ token, ip }) {
+      if (!provider) return { result: "pass" }
+      if (!token) return { result: "reject", reason: "Captcha token is missing" }
+      if (!provider.isConfigured()) {
+        return { result: "spam", reason: `Captcha could not be verified: ${provider.name} has no secret key` }
+      }
+
+      try {
+        return await provider.verify(token, ip)
+      } catch (error) {
+        return { result: "spam", reason: `Captcha could not be verified: ${error.message}` }
+      }
+    },
+  }
+}
+
+// Builds the filter from the spam section of the config; spam.checks (SPAM_CHECKS) lists the checks to run
+function createSpamFilter(settings) {
+  const checks = settings.checks.map((name) => {
+    const factory = CHECKS[name]
+    if (!factory) throw new Error(`Unknown spam check "${name}". Use any of: ${Object.keys(CHECKS).join(", ")}`)
+    return factory(settings)
+  })
+  const captcha = checks.find((check) => check.name === "captcha")?.provider || null
+
+  return {
+    checks: checks.map((check) => check.name),
+    captcha,
+    requiresCaptchaToken: () => Boolean(captcha),
+    getHealth() {
+      if (!captcha) return { provider: "none", status: "disabled" }
+      return { provider: captcha.name, status: captcha.isConfigured() ? "configured" : "not configured" }
+    },
+    // Runs every check on a submission ({ body, token, ip }). Stops at the first rejection;
+    // otherwise collects the reasons of every check that flagged it.
+    async check(submission) {
+      const reasons = []
+      for (const check of checks) {
+        const outcome = await check.check(submission)
+        if (outcome.result === "reject") return { rejected: true, spam: false, reasons: [outcome.reason] }
+        if (outcome.result === "spam") reasons.push(outcome.reason)
+      }
+      return { rejected: false, spam: reasons.length > 0, reasons }
+    },
+  }
+}
+
+module.exports = { CAPTCHA_PROVIDERS, CHECKS, createSpamFilter }
@@ -0,0 +1,34 @@
+const axios = require("axios")
+
+const VERIFY_URL = "https://www.google.com/recaptcha/api/siteverify"
+
+// Google reCAPTCHA v3. Tokens that verify but score below RECAPTCHA_MIN_SCORE, or were
+// issued for a different action than RECAPTCHA_ACTION, are flagged rather than rejected.
+function createRecaptchaProvider({ recaptcha }) {
+  const minScore = recaptcha.minScore
+  const expectedAction = recaptcha.action
+
+  return {
+    name: "recaptcha",
+    isConfigured: () => Boolean(recaptcha.secretKey),
+    async verify(token, ip) {
+      const params = new URLSearchParams({ secret: recaptcha.secretKey, response: token })
+      if (ip) params.set("remoteip", ip)
+
+      const { data } = await axios.post(VERIFY_URL, params, { timeout: 5000 })
+
+      if (!data.success) {
+        return { result: "reject", reason: `reCAPTCHA rejected the token (${(data["error-codes"] || []).join(", ")})` }
+      }
+      if (expectedAction && data.action !== expectedAction) {
+        return { result: "spam", reason: `reCAPTCHA action "${data.action}" does not match "${expectedAction}"` }
+      }
+      if (typeof data.score === "number" && data.score < minScore) {
+        return { result: "spam", reason: `reCAPTCHA score ${data.score} is below ${minScore}` }
+      }
+      return { result: "pass" }
+    },
+  }
+}
+
+module.exports = createRecaptchaProvider
@@ -0,0 +1,24 @@
+const axios = require("axios")
+
+const VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify"
+
+// Cloudflare Turnstile
+function createTurnstileProvider({ turnstile }) {
+  return {
+    name: "turnstile",
+    isConfigured: () => Boolean(turnstile.secretKey),
+    async verify(token, ip) {
+      const params = new URLSearchParams({ secret: turnstile.secretKey, response: token })
+      if (ip) params.set("remoteip", ip)
+
+      const { data } = await axios.post(VERIFY_URL, params, { timeout: 5000 })
+
+      if (!data.success) {
+        return { result: "reject", reason: `Turnstile rejected the token (${(data["error-codes"] || []).join(", ")})` }
+      }
+      return { result: "pass" }
+    },
+  }
+}
+
+module.exports = createTurnstileProvider
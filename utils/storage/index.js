@@ -0,0 +1,23 @@
+const createLocalStorage = require("./local")
+const createS3Storage = require("./s3")
+
+// Where attachments are kept. Every driver exposes the same interface:
+//   name                             driver identifier
+//   put(key, body, { contentType })  store a Buffer under key
+//   get(key)                         readable stream of the file, or null when it doesn't exist
+//   remove(key)                      delete the file; no error when it is already gone
+const STORAGES = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+}
+
+// storage.driver (STORAGE_DRIVER) picks the driver; each factory receives the storage section of the config
+function createStorage(settings) {
+  const factory = STORAGES[settings.driver]
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${settings.driver}". Use one of: ${Object.keys(STORAGES).join(", ")}`)
+  }
+  return factory(settings)
+}
+
+module.exports = { STORAGES, createStorage }
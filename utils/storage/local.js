@@ -0,0 +1,40 @@
+const fs = require("fs")
+const path = require("path")
+
+// Files under STORAGE_LOCAL_DIR on the server's disk. Not for serverless hosts, whose disk is
+// temporary; use the s3 driver there.
+function createLocalStorage({ local }) {
+  const root = path.resolve(local.dir)
+
+  // Keys are generated by utils/attachments, but never let one point outside the directory
+  function fileFor(key) {
+    const file = path.resolve(root, key)
+    if (!file.startsWith(`${root}${path.sep}`)) throw new Error(`Invalid storage key: ${key}`)
+    return file
+  }
+
+  return {
+    name: "local",
+    dir: root,
+    async put(key, body) {
+      const file = fileFor(key)
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      await fs.promises.writeFile(file, body, { flag: "wx" })
+    },
+    // A readable stream of the file, or null when it doesn't exist
+    async get(key) {
+      const file = fileFor(key)
+      try {
+        await fs.promises.access(file, fs.constants.R_OK)
+      } catch {
+        return null
+      }
+      return fs.createReadStream(file)
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true })
+    },
+  }
+}
+
+module.exports = createLocalStorage
@@ -0,0 +1,60 @@
+const axios = require("axios")
+const { sha256, signRequest } = require("../awsSignature")
+
+const TIMEOUT_MS = 30000
+
+// Amazon S3 or an S3-compatible service (Cloudflare R2, MinIO, DigitalOcean Spaces, ...). With
+// S3_ENDPOINT set, objects are addressed path-style (<endpoint>/<bucket>/<key>), which those services
+// support; otherwise the bucket's AWS virtual-hosted endpoint is used.
+function createS3Storage({ s3 }) {
+  const endpoint = new URL(s3.endpoint || `https://${s3.bucket}.s3.${s3.region}.amazonaws.com`)
+  const prefix = s3.endpoint ? `/${encodeURIComponent(s3.bucket)}` : ""
+
+  const objectPath = (key) => `${prefix}/${key.split("/").map(encodeURIComponent).join("/")}`
+
+  function request(method, path, { body = "", headers = {}, responseType } = {}) {
+    const signed = signRequest({
+      method,
+      host: endpoint.host,
+      path,
+      headers: { ...headers, "x-amz-content-sha256": sha256(body) },
+      body,
+      service: "s3",
+      region: s3.region,
+      accessKeyId: s3.accessKeyId,
+      secretAccessKey: s3.secretAccessKey,
+    })
+
+    return axios({
+      method,
+      url: `${endpoint.origin}${path}`,
+      data: body || undefined,
+      headers: signed,
+      responseType,
+      timeout: TIMEOUT_MS,
+      maxBodyLength: Infinity,
+    })
+  }
+
+  return {
+    name: "s3",
+    async put(key, body, { contentType }) {
+      await request("PUT", objectPath(key), { body, headers: { "content-type": contentType } })
+    },
+    // A readable stream of the object, or null when it doesn't exist
+    async get(key) {
+      try {
+        const response = await request("GET", objectPath(key), { responseType: "stream" })
+        return response.data
+      } catch (error) {
+        if (error.response?.status === 404) return null
+        throw error
+      }
+    },
+    async remove(key) {
+      await request("DELETE", objectPath(key))
+    },
+  }
+}
+
+module.exports = createS3Storage
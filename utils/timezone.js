@@ -0,0 +1,101 @@
+// Wall-clock arithmetic in IANA timezones with Intl only. Dates are "YYYY-MM-DD" strings and times "HH:MM".
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const formatters = new Map()
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    )
+  }
+  return formatters.get(timeZone)
+}
+
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false
+  try {
+    formatterFor(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// The calendar date and time of an instant in the timezone
+function zonedParts(date, timeZone) {
+  const parts = {}
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value)
+  }
+  return parts
+}
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+function offsetAt(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone)
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000
+}
+
+// The instant at which the timezone's clocks show the date and time, or null for a time skipped by a
+// DST change. A time repeated when clocks go back resolves to its first occurrence.
+function zonedTimeToUtc(dateString, time, timeZone) {
+  const [year, month, day] = dateString.split("-").map(Number)
+  const [hour, minute] = time.split(":").map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  // Two passes settle on the offset that applies at the result, not at the guess
+  const guess = new Date(wallClock - offsetAt(new Date(wallClock), timeZone))
+  const result = new Date(wallClock - offsetAt(guess, timeZone))
+  const shown = zonedParts(result, timeZone)
+  return shown.hour === hour && shown.minute === minute ? result : null
+}
+
+// "YYYY-MM-DD" of an instant in the timezone
+function zonedDate(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone)
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
+}
+
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+}
+
+// 0 (Sunday) to 6 (Saturday)
+function weekday(dateString) {
+  const [year, month, day] = dateString.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+function minutesOf(time) {
+  const [hour, minute] = time.split(":").map(Number)
+  return hour * 60 + minute
+}
+
+function isValidDate(dateString) {
+  return DATE_PATTERN.test(dateString) && addDays(dateString, 0) === dateString
+}
+
+module.exports = {
+  DATE_PATTERN,
+  TIME_PATTERN,
+  isValidTimezone,
+  isValidDate,
+  zonedParts,
+  zonedTimeToUtc,
+  zonedDate,
+  addDays,
+  weekday,
+  minutesOf,
+}
@@ -0,0 +1,81 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const RefreshToken = require("../models/RefreshToken")
+const config = require("../config")
+
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+function generateToken() {
+  return crypto.randomBytes(48).toString("hex")
+}
+
+// Short-lived JWT used on every admin request
+function signAccessToken(admin) {
+  return jwt.sign(
+    {
+      sub: admin._id.toString(),
+      email: admin.email,
+      role: admin.role,
+      ver: admin.tokenVersion,
+    },
+    config.auth.jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  )
+}
+
+// Long-lived opaque token that can only be exchanged for a new token pair
+async function createRefreshToken(admin) {
+  const token = generateToken()
+
+  await RefreshToken.create({
+    admin: admin._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  })
+
+  return token
+}
+
+async function issueTokens(admin) {
+  return {
+    accessToken: signAccessToken(admin),
+    refreshToken: await createRefreshToken(admin),
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL,
+  }
+}
+
+// Revokes the token and returns its record if it was known, unrevoked and unexpired. One atomic update,
+// so of two requests presenting the same token only one gets the record.
+async function claimRefreshToken(token) {
+  if (!token) return null
+
+  const now = new Date()
+  return RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { revokedAt: now },
+  )
+}
+
+async function revokeRefreshToken(token) {
+  return RefreshToken.updateOne({ tokenHash: hashToken(token), revokedAt: { $exists: false } }, { revokedAt: new Date() })
+}
+
+async function revokeAllRefreshTokens(adminId) {
+  return RefreshToken.updateMany({ admin: adminId, revokedAt: { $exists: false } }, { revokedAt: new Date() })
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  signAccessToken,
+  issueTokens,
+  claimRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+}
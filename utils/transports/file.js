@@ -0,0 +1,37 @@
+const fs = require("fs/promises")
+const path = require("path")
+const crypto = require("crypto")
+
+// Development/test transport: every message is written to EMAIL_FILE_DIR as a JSON file
+function createFileTransport({ file }) {
+  const dir = path.resolve(file.dir)
+
+  return {
+    name: "file",
+    dir,
+    isConfigured: () => true,
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true })
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`
+      const record = {
+        messageId,
+        date: new Date().toISOString(),
+        ...message,
+        attachments: (message.attachments || []).map((attachment) => ({
+          ...attachment,
+          content: Buffer.isBuffer(attachment.content) ? attachment.content.toString("base64") : attachment.content,
+        })),
+      }
+
+      await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(record, null, 2))
+      return { messageId }
+    },
+    async verify() {
+      await fs.mkdir(dir, { recursive: true })
+      await fs.access(dir, fs.constants.W_OK)
+    },
+  }
+}
+
+module.exports = createFileTransport
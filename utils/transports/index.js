@@ -0,0 +1,31 @@
+const createSmtpTransport = require("./smtp")
+const createFileTransport = require("./file")
+const createSendgridTransport = require("./sendgrid")
+const createSesTransport = require("./ses")
+
+// Every transport exposes the same interface:
+//   name            transport identifier reported in /api/health
+//   isConfigured()  whether the required settings are present
+//   send(message)   send a nodemailer-style message ({ from, to, subject, html, text, headers, attachments })
+//   verify()        check credentials/connectivity; rejects on failure
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  sendgrid: createSendgridTransport,
+  ses: createSesTransport,
+}
+
+// email.transport (EMAIL_TRANSPORT) picks the transport; without it SMTP is used when SMTP_USER is set.
+// Each factory receives the email section of the config.
+function createTransport(settings) {
+  const name = settings.transport || (settings.smtp.user ? "smtp" : null)
+  if (!name) return null
+
+  const factory = TRANSPORTS[name]
+  if (!factory) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(", ")}`)
+  }
+  return factory(settings)
+}
+
+module.exports = { TRANSPORTS, createTransport }
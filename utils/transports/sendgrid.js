@@ -0,0 +1,46 @@
+const axios = require("axios")
+
+const API_URL = "https://api.sendgrid.com/v3"
+
+function toContent(value) {
+  return Buffer.isBuffer(value) ? value.toString("base64") : Buffer.from(String(value)).toString("base64")
+}
+
+// SendGrid v3 Mail Send API
+function createSendgridTransport({ sendgrid }) {
+  const headers = { Authorization: `Bearer ${sendgrid.apiKey}` }
+
+  return {
+    name: "sendgrid",
+    isConfigured: () => Boolean(sendgrid.apiKey),
+    async send(message) {
+      const content = [{ type: "text/html", value: message.html }]
+      if (message.text) content.unshift({ type: "text/plain", value: message.text })
+
+      const response = await axios.post(
+        `${API_URL}/mail/send`,
+        {
+          personalizations: [{ to: [].concat(message.to).map((email) => ({ email })) }],
+          from: { email: message.from },
+          subject: message.subject,
+          content,
+          headers: message.headers,
+          attachments: message.attachments?.map((attachment) => ({
+            filename: attachment.filename,
+            type: attachment.contentType,
+            content: toContent(attachment.content),
+          })),
+        },
+        { headers, timeout: 10000 },
+      )
+
+      return { messageId: response.headers["x-message-id"] }
+    },
+    // Any authenticated read proves the key works
+    async verify() {
+      await axios.get(`${API_URL}/scopes`, { headers, timeout: 5000 })
+    },
+  }
+}
+
+module.exports = createSendgridTransport
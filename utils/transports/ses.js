@@ -0,0 +1,45 @@
+const axios = require("axios")
+const MailComposer = require("nodemailer/lib/mail-composer")
+const { signRequest } = require("../awsSignature")
+
+// Amazon SES v2 HTTP API. Messages are sent as raw MIME so attachments work.
+function createSesTransport({ ses }) {
+  const region = ses.region
+  const host = `email.${region}.amazonaws.com`
+
+  async function request(method, path, payload) {
+    const body = payload ? JSON.stringify(payload) : ""
+    const headers = signRequest({
+      method,
+      host,
+      path,
+      headers: { "content-type": "application/json" },
+      body,
+      service: "ses",
+      region,
+      accessKeyId: ses.accessKeyId,
+      secretAccessKey: ses.secretAccessKey,
+      sessionToken: ses.sessionToken,
+    })
+
+    const response = await axios({ method, url: `https://${host}${path}`, data: body || undefined, headers, timeout: 10000 })
+    return response.data
+  }
+
+  return {
+    name: "ses",
+    isConfigured: () => Boolean(ses.accessKeyId && ses.secretAccessKey),
+    async send(message) {
+      const raw = await new MailComposer(message).compile().build()
+      const data = await request("POST", "/v2/email/outbound-emails", {
+        Content: { Raw: { Data: raw.toString("base64") } },
+      })
+      return { messageId: data.MessageId }
+    },
+    async verify() {
+      await request("GET", "/v2/email/account")
+    },
+  }
+}
+
+module.exports = createSesTransport
@@ -0,0 +1,27 @@
+const nodemailer = require("nodemailer")
+
+// SMTP transport. Port 465 uses implicit TLS; other ports upgrade with STARTTLS.
+function createSmtpTransport({ smtp }) {
+  const port = smtp.port
+  const secure = smtp.secure ?? port === 465
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port,
+    secure,
+    requireTLS: smtp.requireTls,
+    auth: {
+      user: smtp.user,
+      pass: smtp.pass,
+    },
+  })
+
+  return {
+    name: "smtp",
+    isConfigured: () => Boolean(smtp.host && smtp.user && smtp.pass),
+    send: (message) => transporter.sendMail(message),
+    verify: () => transporter.verify(),
+  }
+}
+
+module.exports = createSmtpTransport
@@ -0,0 +1,226 @@
+const crypto = require("crypto")
+const axios = require("axios")
+const WebhookSubscription = require("../models/WebhookSubscription")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const { backoffDelay } = require("./backoff")
+const logger = require("./logger")
+const config = require("../config")
+
+const EVENTS = WebhookSubscription.schema.path("events").caster.enumValues
+const REQUEST_TIMEOUT_MS = 10 * 1000
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000 // reclaim deliveries left "sending" by a crashed worker
+const POLL_INTERVAL_MS = config.webhooks.queueIntervalMs
+
+let workerTimer = null
+let currentPass = null
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`
+}
+
+// Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+function sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+  return `t=${timestamp},v1=${signature}`
+}
+
+// Public view of a contact sent to subscribers
+function serializeContact(doc) {
+  const contact = typeof doc.toObject === "function" ? doc.toObject() : doc
+  return {
+    id: contact._id.toString(),
+    name: contact.name,
+    email: contact.email,
+    phone: contact.phone,
+    phoneCountry: contact.phoneCountry,
+    message: contact.message,
+    formType: contact.formType,
+    customFields: contact.customFields || {},
+    attribution: contact.attribution || {},
+    locale: contact.locale,
+    status: contact.status,
+    lostReason: contact.lostReason,
+    assignedTo: contact.assignedTo ? contact.assignedTo.toString() : null,
+    submittedAt: contact.submittedAt,
+  }
+}
+
+// Queues a delivery of the event for every active subscription that wants it
+async function emit(event, data) {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`Unknown webhook event: ${event}`)
+  }
+
+  const subscriptions = await WebhookSubscription.find({ active: true, events: event }).select("_id")
+  if (subscriptions.length === 0) return []
+
+  const payload = {
+    id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+    event,
+    createdAt: new Date().toISOString(),
+    data,
+  }
+
+  const requestId = logger.getRequestId()
+  return WebhookDelivery.insertMany(
+    subscriptions.map((subscription) => ({ subscription: subscription._id, event, payload, requestId })),
+  )
+}
+
+function claimNext(filter = {}) {
+  const now = new Date()
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { status: "sending", lockedAt: now },
+    { new: true, sort: { nextAttemptAt: 1 } },
+  )
+}
+
+async function attempt(delivery) {
+  const startedAt = Date.now()
+  delivery.attemptCount += 1
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select("+secret")
+  let statusCode
+  let error
+
+  if (!subscription || !subscription.active) {
+    error = "Subscription is missing or inactive"
+  } else {
+    const body = JSON.stringify(delivery.payload)
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "DelhiDigital-Webhooks/1.0",
+          "X-Webhook-Id": delivery._id.toString(),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Signature": sign(body, subscription.secret),
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        // Any status is recorded; only 2xx counts as delivered
+        validateStatus: () => true,
+      })
+      statusCode = response.status
+      if (statusCode < 200 || statusCode >= 300) error = `Subscriber responded with ${statusCode}`
+    } catch (requestError) {
+      error = requestError.message
+    }
+  }
+
+  delivery.attempts.push({ statusCode, error, durationMs: Date.now() - startedAt })
+  delivery.responseCode = statusCode
+  delivery.lastError = error
+  delivery.lockedAt = undefined
+
+  if (!error) {
+    delivery.status = "succeeded"
+    delivery.deliveredAt = new Date()
+  } else if (delivery.attemptCount >= delivery.maxAttempts || !subscription || !subscription.active) {
+    delivery.status = "failed"
+  } else {
+    delivery.status = "pending"
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attemptCount, { baseMs: 60 * 1000 }))
+  }
+
+  await delivery.save()
+  return delivery
+}
+
+// Sends due deliveries until none are left (or the limit is reached)
+async function processQueue({ limit = 50, filter } = {}) {
+  let processed = 0
+  while (processed < limit) {
+    const delivery = await claimNext(filter)
+    if (!delivery) break
+    // Log lines from the attempt carry the id of the request that emitted the event
+    await logger.runWithRequestId(delivery.requestId || logger.getRequestId(), () => attempt(delivery))
+    processed += 1
+  }
+  return processed
+}
+
+function deliver(deliveries) {
+  const ids = deliveries.map((delivery) => delivery._id)
+  return processQueue({ limit: ids.length, filter: { _id: { $in: ids } } })
+}
+
+// Same contract as emailQueue.dispatch: wait on Vercel, run in the background elsewhere
+async function dispatch(deliveries) {
+  if (deliveries.length === 0) return
+  if (config.vercel) {
+    await deliver(deliveries)
+    return
+  }
+  deliver(deliveries).catch((error) => {
+    logger.error("Failed to deliver webhooks", { error })
+  })
+}
+
+// Emits an event and starts delivering it. Webhook failures never break the caller.
+async function trigger(event, data) {
+  try {
+    await dispatch(await emit(event, data))
+  } catch (error) {
+    logger.error("Failed to trigger webhooks", { event, error })
+  }
+}
+
+// Sends an earlier delivery's payload again as a new delivery
+async function replay(deliveryId) {
+  const original = await WebhookDelivery.findById(deliveryId)
+  if (!original) return null
+
+  const delivery = await WebhookDelivery.create({
+    subscription: original.subscription,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original._id,
+    requestId: logger.getRequestId(),
+  })
+  await deliver([delivery])
+  return WebhookDelivery.findById(delivery._id)
+}
+
+function startWorker() {
+  if (workerTimer) return
+
+  workerTimer = setInterval(() => {
+    if (currentPass) return
+    currentPass = processQueue()
+      .catch((error) => logger.error("Webhook worker error", { error }))
+      .finally(() => {
+        currentPass = null
+      })
+  }, POLL_INTERVAL_MS)
+  workerTimer.unref()
+
+  logger.info("Webhook worker started", { intervalMs: POLL_INTERVAL_MS })
+}
+
+// Stops polling; resolves once a pass that is already running has finished
+function stopWorker() {
+  clearInterval(workerTimer)
+  workerTimer = null
+  return currentPass || Promise.resolve()
+}
+
+module.exports = {
+  EVENTS,
+  generateSecret,
+  sign,
+  serializeContact,
+  emit,
+  trigger,
+  processQueue,
+  replay,
+  startWorker,
+  stopWorker,
+}
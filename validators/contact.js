@@ -0,0 +1,146 @@
+const mongoose = require("mongoose")
+const { body, param, validationResult } = require("express-validator")
+const formDefinitions = require("../utils/formDefinitions")
+const { parsePhone } = require("../utils/phone")
+const { STATUSES, FORM_KEY_PATTERN } = require("../utils/contactQuery")
+const { LOCALES } = require("../utils/emailTemplates")
+const config = require("../config")
+
+// Checkbox values that count as ticked, from JSON and from form posts
+const CONSENT_VALUES = [true, "true", "on", "1", 1]
+
+// Public contact form fields. The email check and spam filter decide whether the MX lookup runs
+// and whether a captcha token is required.
+function createContactFormValidators({ emailDomainCheck, spamFilter }) {
+  return [
+    // Letters from any script (José, O'Brien, प्रिया शर्मा), with spaces, apostrophes, dots and hyphens
+    body("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters")
+      .matches(/^\p{L}[\p{L}\p{M}\s'’.-]*$/u)
+      .withMessage("Name can only contain letters, spaces, apostrophes, dots and hyphens"),
+
+    body("email")
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email address")
+      .isLength({ max: 255 })
+      .withMessage("Email is too long")
+      .bail()
+      .custom(async (email) => {
+        if (!(await emailDomainCheck.acceptsMail(email))) throw new Error("This email domain can't receive email")
+      }),
+
+    // Country of numbers entered without a country code (default: DEFAULT_PHONE_COUNTRY)
+    body("phoneCountry")
+      .optional()
+      .isISO31661Alpha2()
+      .withMessage("phoneCountry must be a two-letter country code")
+      .toUpperCase(),
+
+    // Any valid number; stored in E.164, with its country in req.parsedPhone
+    body("phone")
+      .custom((value, { req }) => {
+        req.parsedPhone = parsePhone(value, req.body.phoneCountry)
+        if (!req.parsedPhone) {
+          throw new Error("Please provide a valid phone number, including the country code for numbers from abroad")
+        }
+        return true
+      })
+      .customSanitizer((value, { req }) => req.parsedPhone?.e164 ?? value),
+
+    body("message")
+      .optional({ values: "falsy" })
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("Message must be between 10 and 1000 characters"),
+
+    body("formType").isString().matches(FORM_KEY_PATTERN).withMessage("Invalid form type"),
+
+    body("locale").optional().isIn(LOCALES).withMessage(`Locale must be one of: ${LOCALES.join(", ")}`),
+
+    // Privacy policy checkbox; required unless CONSENT_REQUIRED=false
+    body("consent")
+      .customSanitizer((value) => CONSENT_VALUES.includes(value))
+      .custom((given) => given || !config.privacy.consentRequired)
+      .withMessage("Please accept the privacy policy to continue"),
+
+    // recaptchaToken is the field name used before hCaptcha and Turnstile were supported
+    body("captchaToken")
+      .if(() => spamFilter.requiresCaptchaToken())
+      .custom((value, { req }) => Boolean(value || req.body.recaptchaToken))
+      .withMessage("Please complete the captcha verification"),
+  ]
+}
+
+// Checks the submission against its form definition (message requirement and extra
+// fields) and reports those errors together with the express-validator ones
+async function validateFormSubmission(req, res, next) {
+  try {
+    const errors = validationResult(req).array()
+    const definition = errors.some((error) => error.path === "formType")
+      ? null
+      : await formDefinitions.getDefinition(req.body.formType)
+
+    if (!definition) {
+      if (!errors.some((error) => error.path === "formType")) {
+        errors.push({ type: "field", location: "body", path: "formType", value: req.body.formType, msg: "Invalid form type" })
+      }
+    } else {
+      if (definition.requireMessage && !req.body.message) {
+        errors.push({ type: "field", location: "body", path: "message", msg: "Message is required" })
+      }
+
+      const custom = formDefinitions.validateCustomFields(definition, req.body.fields)
+      errors.push(...custom.errors)
+      req.formDefinition = definition
+      req.customFields = custom.values
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+const validateContactId = [param("id").isMongoId().withMessage("Invalid contact id")]
+
+const validateStatusChange = [
+  body("status").isIn(STATUSES).withMessage("Invalid status value"),
+  body("lostReason")
+    .if(body("status").equals("lost"))
+    .trim()
+    .notEmpty()
+    .withMessage("A lost reason is required when marking a lead as lost")
+    .isLength({ max: 500 })
+    .withMessage("Lost reason is too long"),
+  body("spamReason").optional().trim().isLength({ max: 500 }).withMessage("Spam reason is too long"),
+]
+
+const validateAssignee = [
+  body("assignedTo")
+    .custom((value) => value === null || mongoose.isValidObjectId(value))
+    .withMessage("assignedTo must be an admin id or null"),
+]
+
+const validateNote = [
+  body("body").trim().isLength({ min: 1, max: 2000 }).withMessage("Note must be between 1 and 2000 characters"),
+]
+
+module.exports = {
+  createContactFormValidators,
+  validateFormSubmission,
+  validateContactId,
+  validateStatusChange,
+  validateAssignee,
+  validateNote,
+}